@@ -1,15 +1,61 @@
-import { createBezierCurve, createCatmullRomCurve } from './curves.js';
-import { setupInteraction } from './interaction.js';
+import {
+    createBezierCurve,
+    createSplineCurve,
+    catmullRomTangents,
+    getHermiteTangents,
+    createPointParams,
+    getCurveSegments,
+    isRationalCurve,
+    controlPointParameters,
+    elevateBezierDegree,
+    reduceBezierDegree,
+    hasNonUnitWeights,
+    toHomogeneous,
+    fromHomogeneous,
+    deCasteljau,
+    rationalDeCasteljau
+} from './curves.js';
+import { setupInteraction, clearAddedPoints } from './interaction.js';
 import { createHoverIndicator, removeHoverIndicator } from './labels.js';
-import { visualizeDeCasteljau, animateDeCasteljau } from './visualization.js';
-import { showLatexFormula, PausableTimeout } from './latexBox.js';
+import {
+    visualizeDeCasteljau,
+    animateDeCasteljau,
+    animateBezierSplit,
+    animateSurfaceDeCasteljau,
+    animateCatmullRomSpline,
+    HELPER_CLEAR_DELAY_MS
+} from './visualization.js';
+import { showLatexFormula, showLatexCornerBox, PausableTimeout } from './latexBox.js';
 import { animateVectorScalingTo } from './vectorAnimation.js';
+import { ArcLengthCurve } from './arcLength.js';
+import { worldUnitsPerPixel } from './viewport.js';
+import {
+    updateCurvatureComb,
+    updateBezierPolygons,
+    updateIntersectionMarkers,
+    updateBoundsOverlay,
+    updateOutlineOverlay,
+    updateContinuityMarkers,
+    CONTINUITY_COLORS
+} from './overlays.js';
+import { analyzeContinuity } from './continuity.js';
+import { detectDegeneracies } from './degeneracy.js';
+import { updateSegmentWarnings, positionSegmentWarnings } from './segmentWarnings.js';
+import { updateFormulaPanel } from './formulaPanel.js';
+import { findSelfIntersections, intersectCurveLine } from './intersections.js';
+import { updateTangentHandles } from './tangentHandles.js';
+import { createStrokeOutline, sampleStrokeOutline, offsetCurve } from './offset.js';
+import { outlineToPathData, curveToPathData, createSvgDocument, downloadText } from './svgExport.js';
+import { curveBoundingBox } from './bounds.js';
+import { createPerspectiveCamera, resetPerspectiveCamera, createOrbitControls, updateSpaceHelpers } from './view3d.js';
+import { createSurfaceGrid, locatePatch } from './surfaces.js';
+import { updateSurface } from './surfaceView.js';
 
 // === Scene Setup ===
 const scene = new THREE.Scene();
 // Define the orthographic camera
 const aspect = window.innerWidth / window.innerHeight;
-const camera = new THREE.OrthographicCamera(
+const orthographicCamera = new THREE.OrthographicCamera(
     -aspect * 5, // left
     aspect * 5,  // right
     5,           // top
@@ -17,13 +63,26 @@ const camera = new THREE.OrthographicCamera(
     0.1,         // near
     1000         // far
 );
-camera.position.z = 5;
+orthographicCamera.position.z = 5;
+// The 3D mode switches to a perspective camera; everything else reads the active one
+const perspectiveCamera = createPerspectiveCamera(aspect);
+let camera = orthographicCamera;
 
 const canvas = document.getElementById('webgl-canvas');
 
 const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
 
+// Orbit navigation of the 3D mode, disabled in 2D and while a point is dragged
+const orbitControls = createOrbitControls(perspectiveCamera, canvas);
+if (orbitControls) {
+    orbitControls.enabled = false;
+    // The adaptive tessellation tolerance is in pixels, so zooming changes it
+    orbitControls.addEventListener('end', () => {
+        if (curveOptions.tessellation === 'adaptive') updateCurve();
+    });
+}
+
 // Control points for the curves
 const controlPoints = [
     new THREE.Vector3(-2, 0, 0), // b_0
@@ -34,15 +93,55 @@ const controlPoints = [
 
 const yellowPointMeshes = [];
 
-// Create spheres to represent control points
-const controlPointMeshes = controlPoints.map((point) => {
+// Per-point Kochanek-Bartels parameters, kept parallel to controlPoints
+const pointParams = controlPoints.map(() => createPointParams());
+
+// Create a sphere to represent a control point
+function createControlPointMesh(point) {
     const geometry = new THREE.SphereGeometry(0.1, 16, 16);
     const material = new THREE.MeshBasicMaterial({ color: 0xff0000 });
     const mesh = new THREE.Mesh(geometry, material);
     mesh.position.copy(point);
     scene.add(mesh);
     return mesh;
-});
+}
+
+const controlPointMeshes = controlPoints.map(createControlPointMesh);
+
+/**
+ * Replaces all control points, rebuilding their meshes and resetting per-point parameters.
+ * The arrays are modified in place because the interaction code holds references to them.
+ * @param {THREE.Vector3[]} points - The new control points.
+ * @param {number[]} [weights] - Rational weights to carry over, all 1 when omitted.
+ */
+function replaceControlPoints(points, weights = null) {
+    controlPointMeshes.forEach(mesh => scene.remove(mesh));
+    yellowPointMeshes.forEach(mesh => { if (mesh) scene.remove(mesh); });
+    controlPoints.length = 0;
+    controlPointMeshes.length = 0;
+    yellowPointMeshes.length = 0;
+    pointParams.length = 0;
+    points.forEach((point, i) => {
+        controlPoints.push(point.clone());
+        controlPointMeshes.push(createControlPointMesh(point));
+        yellowPointMeshes.push(undefined);
+        const params = createPointParams();
+        if (weights) params.weight = weights[i];
+        pointParams.push(params);
+    });
+    clearAddedPoints();
+    updateCurve();
+}
+
+// Options shared by the live curve and the segment animations
+const curveOptions = {
+    curveType: 'catmullRom', // 'catmullRom', 'hermite', 'bspline' or 'bezier' through all red points
+    alpha: 0, // 0 uniform, 0.5 centripetal, 1 chordal
+    closed: false, // wrap neighbours around into a closed loop
+    tessellation: 'fixed', // 'fixed' steps per segment or 'adaptive' flatness subdivision
+    pixelTolerance: 0.5, // adaptive flatness tolerance in screen pixels
+    pointParams,
+};
 
 // === Curve Line (for legacy, not the main shared curve line) ===
 let curveLine = null;
@@ -52,6 +151,399 @@ curveLineCheckbox.addEventListener('change', () => {
     if (curveLine) curveLine.visible = curveLineCheckbox.checked;
 });
 
+const closedLoopCheckbox = document.getElementById('closed-loop');
+closedLoopCheckbox.addEventListener('change', () => {
+    curveOptions.closed = closedLoopCheckbox.checked;
+    updateCurve();
+});
+
+const tessellationSelect = document.getElementById('tessellation-select');
+const toleranceInput = document.getElementById('tessellation-tolerance');
+const vertexCountValue = document.getElementById('vertex-count-value');
+tessellationSelect.addEventListener('change', () => {
+    curveOptions.tessellation = tessellationSelect.value;
+    toleranceInput.disabled = curveOptions.tessellation !== 'adaptive';
+    updateCurve();
+});
+toleranceInput.addEventListener('input', () => {
+    const value = parseFloat(toleranceInput.value);
+    if (!(value > 0)) return;
+    curveOptions.pixelTolerance = value;
+    updateCurve();
+});
+
+// === Arc-length samples (points spaced evenly by distance along the curve) ===
+let arcLengthMarkers = null;
+const arcLengthSampleCount = 40;
+const arcLengthCheckbox = document.getElementById('arc-length-samples');
+arcLengthCheckbox.addEventListener('change', () => updateCurve());
+const curveLengthValue = document.getElementById('curve-length-value');
+
+// === Curvature comb ===
+const curvatureCombCheckbox = document.getElementById('curvature-comb');
+const combScaleInput = document.getElementById('curvature-comb-scale');
+curvatureCombCheckbox.addEventListener('change', () => updateCurve());
+combScaleInput.addEventListener('input', () => {
+    if (parseFloat(combScaleInput.value) > 0) updateCurve();
+});
+
+// === Equivalent Bezier control polygons of the segments ===
+const bezierPolygonsCheckbox = document.getElementById('bezier-polygons');
+bezierPolygonsCheckbox.addEventListener('change', () => updateCurve());
+
+// === Bounding box and convex hull ===
+const boundingBoxCheckbox = document.getElementById('bounding-box');
+const convexHullCheckbox = document.getElementById('convex-hull');
+boundingBoxCheckbox.addEventListener('change', () => updateCurve());
+convexHullCheckbox.addEventListener('change', () => updateCurve());
+
+// === Intersection markers ===
+const intersectionsSelect = document.getElementById('intersections-select');
+const intersectionCountValue = document.getElementById('intersection-count-value');
+intersectionsSelect.addEventListener('change', () => updateCurve());
+let chordLine = null;
+
+/**
+ * Marks where the curve crosses itself, or where it crosses the chord line
+ * through its first and last control point.
+ * @param {THREE.Vector3[][]} segments - Bezier segments of the live curve.
+ */
+function updateIntersections(segments) {
+    if (chordLine) {
+        scene.remove(chordLine);
+        chordLine.geometry.dispose();
+        chordLine.material.dispose();
+        chordLine = null;
+    }
+    const mode = intersectionsSelect.value;
+    let points = [];
+    if (mode === 'self') {
+        points = findSelfIntersections(segments, { closed: curveOptions.closed }).map(hit => hit.point);
+    } else if (mode === 'chord' && controlPoints.length >= 2) {
+        const line = new THREE.Line3(controlPoints[0], controlPoints[controlPoints.length - 1]);
+        points = intersectCurveLine(segments, line, { infinite: true }).map(hit => hit.point);
+        // Draw the line well past both ends
+        const direction = line.delta(new THREE.Vector3()).normalize().multiplyScalar(100);
+        chordLine = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([line.start.clone().sub(direction), line.end.clone().add(direction)]),
+            new THREE.LineBasicMaterial({ color: 0x888888, transparent: true, opacity: 0.6 })
+        );
+        scene.add(chordLine);
+    }
+    intersectionCountValue.textContent = mode === 'none' || segments.length === 0 ? '-' : String(points.length);
+    updateIntersectionMarkers(scene, points, { visible: mode !== 'none' });
+}
+
+// === Offset curves and variable-width outline ===
+const outlineModeSelect = document.getElementById('outline-mode-select');
+const outlineDistanceInput = document.getElementById('outline-distance');
+const outlineToleranceInput = document.getElementById('outline-tolerance');
+const outlineSegmentCountValue = document.getElementById('outline-segment-count-value');
+const exportSvgButton = document.getElementById('export-svg-btn');
+outlineModeSelect.addEventListener('change', () => updateCurve());
+[outlineDistanceInput, outlineToleranceInput].forEach(input => input.addEventListener('input', () => {
+    if (parseFloat(input.value) > 0) updateCurve();
+}));
+// The cubic sides of the last outline, for SVG export
+let lastOutline = null;
+
+/**
+ * Interpolates the per-point width linearly along the curve and scales it by the base half-width.
+ * Each point's width applies where the curve type puts that point (controlPointParameters),
+ * so segments that do not run from one point to the next still get the right widths.
+ * @param {number} baseHalfWidth
+ * @returns {Function} (segmentIndex, t) => half-width.
+ */
+function createHalfWidth(baseHalfWidth) {
+    const n = pointParams.length;
+    const parameters = controlPointParameters(n, curveOptions);
+    return (i, t) => {
+        const u = i + t;
+        let k = 0;
+        while (k < parameters.length - 2 && parameters[k + 1] <= u) k++;
+        const span = parameters[k + 1] - parameters[k];
+        const f = span > 0 ? Math.min(Math.max((u - parameters[k]) / span, 0), 1) : 0;
+        const a = pointParams[k % n].width;
+        const b = pointParams[(k + 1) % n].width;
+        return baseHalfWidth * (a + (b - a) * f);
+    };
+}
+
+/**
+ * Draws the offset curves or the variable-width outline of the live curve.
+ * @param {THREE.Vector3[][]} segments - Bezier segments of the live curve.
+ * @param {number} pixelSize - World units per screen pixel.
+ */
+function updateOutline(segments, pixelSize) {
+    const mode = outlineModeSelect.value;
+    const distance = parseFloat(outlineDistanceInput.value);
+    lastOutline = null;
+    if (mode === 'none' || !(distance > 0) || segments.length === 0 || pointParams.length < 2) {
+        outlineSegmentCountValue.textContent = '-';
+        exportSvgButton.disabled = true;
+        updateOutlineOverlay(scene, null, { visible: false });
+        return;
+    }
+    const tolerance = (parseFloat(outlineToleranceInput.value) || 1) * pixelSize;
+    const halfWidth = mode === 'outline' ? createHalfWidth(distance) : () => distance;
+    const curves = mode === 'outline'
+        ? createStrokeOutline(segments, halfWidth, tolerance)
+        : { left: offsetCurve(segments, distance, tolerance), right: offsetCurve(segments, -distance, tolerance) };
+    lastOutline = { mode, curves };
+    outlineSegmentCountValue.textContent = String(curves.left.length + curves.right.length);
+    exportSvgButton.disabled = false;
+    updateOutlineOverlay(scene, {
+        sampled: mode === 'outline' ? sampleStrokeOutline(segments, halfWidth) : null,
+        curves
+    }, { visible: true, fill: mode === 'outline' });
+}
+
+exportSvgButton.addEventListener('click', () => {
+    if (!lastOutline) return;
+    const { mode, curves } = lastOutline;
+    const paths = mode === 'outline'
+        ? [{ d: outlineToPathData(curves, curveOptions.closed), fill: '#44ccaa' }]
+        : [{ d: curveToPathData(curves.left), stroke: '#000000' }, { d: curveToPathData(curves.right), stroke: '#000000' }];
+    const { box } = curveBoundingBox(curves.left.concat(curves.right));
+    downloadText(mode === 'outline' ? 'outline.svg' : 'offset.svg', createSvgDocument(paths, box));
+});
+
+// === Continuity at the segment joints ===
+const continuityCheckbox = document.getElementById('continuity-analysis');
+continuityCheckbox.addEventListener('change', () => updateCurve());
+const MAX_CONTINUITY_ROWS = 12;
+let hideContinuityBox = null;
+// MathJax is too slow to typeset the table on every frame of a drag, so the table waits for the drag to end
+let pointDragging = false;
+let pendingContinuityLatex = null;
+
+// Small jumps in scientific notation, so a tiny non-zero jump does not read as 0.000
+function formatJump(value) {
+    if (Number.isNaN(value)) return '-';
+    if (value === 0) return '0';
+    return value < 1e-3 ? value.toExponential(1).replace(/e([+-]\d+)/, '\\cdot 10^{$1}') : value.toFixed(3);
+}
+
+/**
+ * Builds the LaTeX table of the joint analysis: continuity class and jump magnitudes per joint.
+ * @param {Array<Object>} joints - Results of analyzeContinuity.
+ * @returns {string}
+ */
+function continuityLatex(joints) {
+    const color = (name) => '#' + CONTINUITY_COLORS[name].toString(16).padStart(6, '0');
+    const rows = joints.slice(0, MAX_CONTINUITY_ROWS).map(joint => {
+        const name = joint.class === 'none' ? '\\text{--}' : `${joint.class[0]}^${joint.class[1]}`;
+        const angle = Number.isNaN(joint.tangentAngle) ? '-' : `{${formatJump(joint.tangentAngle * 180 / Math.PI)}}^\\circ`;
+        return [
+            joint.segmentIndex + 1,
+            `\\color{${color(joint.class)}}{${name}}`,
+            formatJump(joint.positionJump),
+            formatJump(joint.firstDerivativeJump),
+            formatJump(joint.secondDerivativeJump),
+            angle,
+            formatJump(joint.curvatureJump)
+        ].join(' & ');
+    });
+    if (joints.length > MAX_CONTINUITY_ROWS) rows.push(`\\vdots & \\text{${joints.length - MAX_CONTINUITY_ROWS} more} & & & & &`);
+    const header = 'j & & \\lVert \\Delta P \\rVert & \\lVert \\Delta P\' \\rVert & \\lVert \\Delta P\'\' \\rVert'
+        + ' & \\angle(T^-, T^+) & \\lVert \\Delta \\boldsymbol{\\kappa} \\rVert';
+    return `\\begin{array}{c|c|ccccc} ${header} \\\\ \\hline ${rows.join(' \\\\ ')} \\end{array}`;
+}
+
+/**
+ * Colour-codes the joints between segments by their continuity and lists the jumps.
+ * @param {THREE.Vector3[][]} segments - Bezier segments of the live curve.
+ */
+function updateContinuity(segments) {
+    const visible = continuityCheckbox.checked;
+    const joints = visible ? analyzeContinuity(segments, { closed: curveOptions.closed }) : [];
+    updateContinuityMarkers(scene, joints, { visible });
+    const latex = visible && joints.length > 0 ? continuityLatex(joints) : null;
+    if (latex && pointDragging) pendingContinuityLatex = latex;
+    else showContinuityBox(latex);
+}
+
+/**
+ * Shows the joint table, or hides it for null. It has its own box at the bottom left,
+ * beside the options panel, away from the triangle scheme at the bottom right.
+ * @param {string|null} latex
+ */
+function showContinuityBox(latex) {
+    pendingContinuityLatex = null;
+    if (hideContinuityBox) hideContinuityBox();
+    hideContinuityBox = null;
+    if (!latex) return;
+    hideContinuityBox = showLatexCornerBox(latex, {
+        id: 'continuity-box',
+        left: '330px',
+        right: 'auto',
+        bottom: '2em',
+        fontSize: '0.8em'
+    });
+}
+
+// === Degenerate segments: coincident points, stalls, cusps and loops ===
+const degeneracyCheckbox = document.getElementById('degeneracy-warnings');
+degeneracyCheckbox.addEventListener('change', () => updateCurve());
+// Points closer than this many pixels count as coincident
+const COINCIDENT_PIXELS = 3;
+
+function applyDegeneracyFix(fix) {
+    if (fix.kind === 'parameterization') {
+        parameterizationSelect.value = String(fix.alpha);
+        parameterizationSelect.dispatchEvent(new Event('change'));
+    } else if (fix.kind === 'nudge') {
+        controlPointMeshes[fix.pointIndex].position.copy(fix.position);
+        updateCurve();
+    }
+}
+
+/**
+ * Pins a warning card to every segment with coincident points, zero velocity, a cusp or a loop.
+ * @param {THREE.Vector3[][]} segments - Bezier segments of the live curve.
+ * @param {number} pixelSize - World units per screen pixel.
+ */
+function updateDegeneracyWarnings(segments, pixelSize) {
+    const visible = degeneracyCheckbox.checked;
+    const issues = visible
+        ? detectDegeneracies(controlPoints, segments, { ...curveOptions, pointTolerance: COINCIDENT_PIXELS * pixelSize })
+        : [];
+    updateSegmentWarnings(issues, { visible, onFix: applyDegeneracyFix });
+}
+
+// === Numeric polynomials of the segments ===
+const formulaPanelCheckbox = document.getElementById('formula-panel-visible');
+formulaPanelCheckbox.addEventListener('change', () => updateCurve());
+
+function updateSegmentFormulas(segments) {
+    // A weighted Bezier is drawn as a quotient, so show the weights too
+    const weights = isRationalCurve(curveOptions) ? pointParams.map(params => params.weight) : null;
+    updateFormulaPanel(segments, { visible: formulaPanelCheckbox.checked, weights });
+}
+
+const curveTypeSelect = document.getElementById('curve-type-select');
+curveTypeSelect.addEventListener('change', () => {
+    const previousType = curveOptions.curveType;
+    curveOptions.curveType = curveTypeSelect.value;
+    if (previousType === 'catmullRom' && curveOptions.curveType === 'hermite') {
+        // Start the handles from the tangents Catmull-Rom uses, so the curve does not jump
+        const tangents = catmullRomTangents(controlPoints, curveOptions);
+        pointParams.forEach((params, i) => { params.tangent = tangents[i]; });
+    }
+    // Hermite falls back to Catmull-Rom tangents for new points, so it uses the parameterization too
+    parameterizationSelect.disabled = curveOptions.curveType !== 'catmullRom' && curveOptions.curveType !== 'hermite';
+    // A stroke fitted afterwards should make the same kind of curve
+    sketchFitSelect.value = sketchOptions.fit = curveOptions.curveType === 'piecewiseBezier' ? 'piecewiseBezier' : 'catmullRom';
+    buildSplineButton.disabled = curveOptions.curveType !== 'catmullRom';
+    updateCurve();
+});
+
+// === Freehand sketching (strokes are captured and fitted in interaction.js) ===
+const sketchOptions = {
+    enabled: false,
+    fit: 'catmullRom', // 'catmullRom' points or 'piecewiseBezier' (Schneider)
+    pixelTolerance: 4, // maximum fitting error in screen pixels
+    mode: 'replace', // 'replace' the control points or 'append' to them
+    // Called with the curve type of a fitted stroke, so the curve type select follows it
+    onFitted: (curveType) => {
+        if (curveOptions.curveType === curveType) return;
+        curveTypeSelect.value = curveType;
+        curveTypeSelect.dispatchEvent(new Event('change'));
+    }
+};
+const sketchModeCheckbox = document.getElementById('sketch-mode');
+const sketchFitSelect = document.getElementById('sketch-fit-select');
+const sketchToleranceInput = document.getElementById('sketch-tolerance');
+const sketchReplaceSelect = document.getElementById('sketch-replace-select');
+sketchModeCheckbox.addEventListener('change', () => { sketchOptions.enabled = sketchModeCheckbox.checked; });
+sketchFitSelect.addEventListener('change', () => { sketchOptions.fit = sketchFitSelect.value; });
+sketchToleranceInput.addEventListener('input', () => {
+    const value = parseFloat(sketchToleranceInput.value);
+    if (value > 0) sketchOptions.pixelTolerance = value;
+});
+sketchReplaceSelect.addEventListener('change', () => { sketchOptions.mode = sketchReplaceSelect.value; });
+
+// === 3D mode ===
+const viewOptions = {
+    is3D: false,
+    dragAxis: 'view', // move on the 'view' plane, or along the 'x', 'y' or 'z' axis
+    // Called when a point drag starts and ends, so orbiting does not fight the drag
+    onDragChange: (dragging) => {
+        if (orbitControls) orbitControls.enabled = viewOptions.is3D && !dragging;
+        pointDragging = dragging;
+        if (!dragging && pendingContinuityLatex) showContinuityBox(pendingContinuityLatex);
+    }
+};
+const view3dCheckbox = document.getElementById('view-3d');
+const dragAxisSelect = document.getElementById('drag-axis-select');
+const resetViewButton = document.getElementById('reset-view-btn');
+view3dCheckbox.addEventListener('change', () => {
+    viewOptions.is3D = view3dCheckbox.checked;
+    camera = viewOptions.is3D ? perspectiveCamera : orthographicCamera;
+    if (orbitControls) orbitControls.enabled = viewOptions.is3D;
+    dragAxisSelect.disabled = resetViewButton.disabled = !viewOptions.is3D;
+    updateSpaceHelpers(scene, { visible: viewOptions.is3D });
+    updateCurve();
+});
+dragAxisSelect.addEventListener('change', () => { viewOptions.dragAxis = dragAxisSelect.value; });
+resetViewButton.addEventListener('click', () => {
+    if (orbitControls) orbitControls.reset();
+    else resetPerspectiveCamera(perspectiveCamera);
+    updateCurve();
+});
+
+// === Surface patch over its own control grid ===
+let surfaceGrid = createSurfaceGrid(4);
+let surfacePatches = [];
+const surfaceCheckbox = document.getElementById('surface-visible');
+const surfaceTypeSelect = document.getElementById('surface-type-select');
+const surfaceGridSizeSelect = document.getElementById('surface-grid-size');
+const surfaceDisplaySelect = document.getElementById('surface-display-select');
+const surfaceIsoCountInput = document.getElementById('surface-iso-count');
+const surfaceUInput = document.getElementById('surface-u');
+const surfaceVInput = document.getElementById('surface-v');
+const surfaceAnimateButton = document.getElementById('surface-animate-btn');
+
+function updateSurfacePatch() {
+    surfacePatches = updateSurface(scene, surfaceGrid, {
+        visible: surfaceCheckbox.checked,
+        type: surfaceTypeSelect.value,
+        alpha: curveOptions.alpha,
+        display: surfaceDisplaySelect.value,
+        isoCount: Math.max(0, parseInt(surfaceIsoCountInput.value, 10) || 0),
+        onChange: updateSurfacePatch
+    });
+    surfaceAnimateButton.disabled = surfacePatches.length === 0;
+}
+surfaceCheckbox.addEventListener('change', () => {
+    // A surface is hard to read from straight above
+    if (surfaceCheckbox.checked && !view3dCheckbox.checked) {
+        view3dCheckbox.checked = true;
+        view3dCheckbox.dispatchEvent(new Event('change'));
+    }
+    updateSurfacePatch();
+});
+surfaceGridSizeSelect.addEventListener('change', () => {
+    surfaceGrid = createSurfaceGrid(parseInt(surfaceGridSizeSelect.value, 10));
+    updateSurfacePatch();
+});
+[surfaceTypeSelect, surfaceDisplaySelect].forEach(select => select.addEventListener('change', updateSurfacePatch));
+surfaceIsoCountInput.addEventListener('input', updateSurfacePatch);
+surfaceAnimateButton.addEventListener('click', () => {
+    if (isAnimationLocked() || surfacePatches.length === 0) return;
+    const clamp = (value) => Math.min(Math.max(parseFloat(value) || 0, 0), 1);
+    // The construction runs on the patch holding (u, v), in its own parameters
+    const { net, u, v } = locatePatch(surfacePatches, clamp(surfaceUInput.value), clamp(surfaceVInput.value));
+    animateSurfaceDeCasteljau(scene, net, +u.toFixed(3), +v.toFixed(3), 3000 / animationSpeed);
+});
+
+const parameterizationSelect = document.getElementById('parameterization-select');
+parameterizationSelect.addEventListener('change', () => {
+    curveOptions.alpha = parseFloat(parameterizationSelect.value);
+    updateCurve();
+    updateSurfacePatch();
+});
+
 function updateCurve() {
     // Remove old curve
     if (curveLine) scene.remove(curveLine);
@@ -59,39 +551,104 @@ function updateCurve() {
     // Update controlPoints from meshes
     controlPoints.forEach((pt, i) => pt.copy(controlPointMeshes[i].position));
 
+    // Adaptive tessellation works to a pixel tolerance, converted to world units
+    const viewportHeight = renderer.domElement.clientHeight || window.innerHeight;
+    const pixelSize = worldUnitsPerPixel(camera, viewportHeight, orbitControls && viewOptions.is3D ? orbitControls.target : undefined);
+    const tolerance = curveOptions.pixelTolerance * pixelSize;
+
     // Choose curve type
-    const curvePoints = createCatmullRomCurve(controlPoints, 100); // or createBezierCurve
+    let curvePoints;
+    if (curveOptions.curveType === 'bezier') {
+        const weights = pointParams.map(params => params.weight);
+        curvePoints = createBezierCurve(controlPoints, 100 * (controlPoints.length - 1), { ...curveOptions, tolerance, weights });
+    } else {
+        curvePoints = createSplineCurve(controlPoints, 100, { ...curveOptions, tolerance });
+    }
+    vertexCountValue.textContent = String(curvePoints.length);
     const geometry = new THREE.BufferGeometry().setFromPoints(curvePoints);
     const material = new THREE.LineBasicMaterial({ color: 0x00ffff });
     curveLine = new THREE.Line(geometry, material);
     curveLine.visible = curveLineCheckbox.checked;
     scene.add(curveLine);
+
+    // Bezier segments of the spline, shared by the analysis overlays. A weighted Bezier
+    // is not a polynomial segment, so the overlays that measure the curve are left empty
+    // rather than drawn for a different curve; its control polygon and formulas still hold.
+    const bezierSegments = getCurveSegments(controlPoints, curveOptions);
+    const segments = isRationalCurve(curveOptions) ? [] : bezierSegments;
+    updateArcLengthSamples(segments);
+    updateBezierPolygons(scene, bezierSegments, { visible: bezierPolygonsCheckbox.checked });
+    updateIntersections(segments);
+    updateContinuity(segments);
+    updateDegeneracyWarnings(segments, pixelSize);
+    updateSegmentFormulas(bezierSegments);
+    updateBoundsOverlay(scene, segments, controlPoints, {
+        showBox: boundingBoxCheckbox.checked,
+        showHull: convexHullCheckbox.checked
+    });
+    const hermite = curveOptions.curveType === 'hermite';
+    updateTangentHandles(scene, controlPoints, hermite ? getHermiteTangents(controlPoints, curveOptions) : [], pointParams, {
+        visible: hermite,
+        onChange: updateCurve
+    });
+    updateCurvatureComb(scene, segments, {
+        visible: curvatureCombCheckbox.checked,
+        scale: parseFloat(combScaleInput.value) || 1
+    });
+    updateOutline(segments, pixelSize);
+    updateDeCasteljauScrub();
+}
+
+function updateArcLengthSamples(segments) {
+    if (arcLengthMarkers) {
+        scene.remove(arcLengthMarkers);
+        arcLengthMarkers.geometry.dispose();
+        arcLengthMarkers.material.dispose();
+        arcLengthMarkers = null;
+    }
+    if (segments.length === 0) {
+        curveLengthValue.textContent = isRationalCurve(curveOptions) ? '- (weighted)' : '0';
+        return;
+    }
+    const arcCurve = new ArcLengthCurve(segments);
+    curveLengthValue.textContent = arcCurve.getLength().toFixed(3);
+    if (!arcLengthCheckbox.checked) return;
+    const samples = arcCurve.getSpacedPoints(arcLengthSampleCount);
+    const geometry = new THREE.BufferGeometry().setFromPoints(samples);
+    const material = new THREE.PointsMaterial({ color: 0xffffff, size: 6, sizeAttenuation: false });
+    arcLengthMarkers = new THREE.Points(geometry, material);
+    scene.add(arcLengthMarkers);
 }
 
 // === Interaction ===
 setupInteraction(
-    camera,
+    () => camera,
     controlPointMeshes,
     updateCurve,
-    (pos) => createHoverIndicator(pos, scene),
+    (pos) => createHoverIndicator(pos, scene, camera),
     () => removeHoverIndicator(scene),
     controlPoints,
     scene,
     renderer,
     canvas,
-    yellowPointMeshes
+    yellowPointMeshes,
+    pointParams
 );
 
 // === Window Resize ===
 window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
+    orthographicCamera.aspect = perspectiveCamera.aspect = window.innerWidth / window.innerHeight;
+    orthographicCamera.updateProjectionMatrix();
+    perspectiveCamera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    // The pixel tolerance covers a different world distance now
+    if (curveOptions.tessellation === 'adaptive') updateCurve();
 });
 
 // === Animation Loop ===
 function animate() {
     requestAnimationFrame(animate);
+    positionSegmentWarnings(camera);
     renderer.render(scene, camera);
 }
 animate();
@@ -111,19 +668,146 @@ animateBtn.onclick = () => {
     animateDeCasteljau(
         scene,
         controlPoints,
-        (t, group) => {
+        (t, levels) => {
             // Optionally update labels or UI here during animation
         },
-        duration
+        duration,
+        undefined,
+        pointParams.map(params => params.weight)
     ).finally(() => {
-        // Restore the legacy curveLine and checkbox state after a pause-safe delay
+        // The animation resolves at t = 1, so restore the legacy curveLine and checkbox state
+        // together with the helpers instead of another full duration later
+        new PausableTimeout(() => {
+            if (curveLine && prevCurveLineVisible !== undefined) curveLine.visible = prevCurveLineVisible;
+            curveLineCheckbox.checked = prevCurveLineCheckboxChecked;
+        }, HELPER_CLEAR_DELAY_MS);
+    });
+};
+
+// Builds every Catmull-Rom segment in turn, the swept curve growing along the points
+const buildSplineButton = document.getElementById('build-spline-btn');
+buildSplineButton.onclick = () => {
+    if (isAnimationLocked() || controlPoints.length < 2) return;
+    const prevCurveLineVisible = curveLine ? curveLine.visible : undefined;
+    const prevCurveLineCheckboxChecked = curveLineCheckbox.checked;
+    if (curveLine) curveLine.visible = false;
+    curveLineCheckbox.checked = false;
+    const pointMeshes = [];
+    animateCatmullRomSpline(scene, controlPoints, {
+        closed: curveOptions.closed,
+        alpha: curveOptions.alpha,
+        pointParams,
+        getSpeed: () => animationSpeed,
+        pointMeshes
+    }).finally(() => {
         new PausableTimeout(() => {
+            pointMeshes.forEach(mesh => scene.remove(mesh));
             if (curveLine && prevCurveLineVisible !== undefined) curveLine.visible = prevCurveLineVisible;
             curveLineCheckbox.checked = prevCurveLineCheckboxChecked;
-        }, duration);
+        }, HELPER_CLEAR_DELAY_MS);
     });
 };
 
+// === Bezier operations on the red control polygon ===
+const splitTInput = document.getElementById('split-t');
+const splitKeepSelect = document.getElementById('split-keep');
+const bezierOpResult = document.getElementById('bezier-op-result');
+function isAnimationLocked() {
+    return window.__globalAnimationLock && window.__globalAnimationLock._locked;
+}
+document.getElementById('split-btn').onclick = () => {
+    if (isAnimationLocked() || controlPoints.length < 2) return;
+    const t = Math.min(Math.max(parseFloat(splitTInput.value) || 0, 0), 1);
+    const weights = pointParams.map(params => params.weight);
+    animateBezierSplit(scene, controlPoints, t, 3000 / animationSpeed, weights).then(({ left, right, leftWeights, rightWeights }) => {
+        bezierOpResult.textContent = `Split at t = ${t}`;
+        if (splitKeepSelect.value === 'left') replaceControlPoints(left, leftWeights);
+        else if (splitKeepSelect.value === 'right') replaceControlPoints(right, rightWeights);
+    });
+};
+document.getElementById('elevate-btn').onclick = () => {
+    if (isAnimationLocked() || controlPoints.length < 2) return;
+    const weights = pointParams.map(params => params.weight);
+    if (hasNonUnitWeights(weights)) {
+        // Elevating the homogeneous points elevates the rational curve and its weights
+        const elevated = fromHomogeneous(elevateBezierDegree(toHomogeneous(controlPoints, weights)));
+        replaceControlPoints(elevated.points, elevated.weights);
+    } else {
+        replaceControlPoints(elevateBezierDegree(controlPoints));
+    }
+    bezierOpResult.textContent = `Degree ${controlPoints.length - 1}`;
+};
+document.getElementById('reduce-btn').onclick = () => {
+    if (isAnimationLocked()) return;
+    // A weighted curve is reduced with its weights, as elevate and split keep them
+    const result = reduceBezierDegree(controlPoints, 64, pointParams.map(params => params.weight));
+    if (!result) {
+        bezierOpResult.textContent = 'Cannot reduce this curve';
+        return;
+    }
+    replaceControlPoints(result.points, result.weights);
+    bezierOpResult.textContent = `Degree ${controlPoints.length - 1}, max error ${result.error.toFixed(4)}`;
+    showLatexFormula(`\\max_{t} \\lVert B_{${controlPoints.length}}(t) - B_{${controlPoints.length - 1}}(t) \\rVert = ${result.error.toFixed(4)}`, 3000);
+};
+
+// === de Casteljau at a chosen t, stepped one interpolation level at a time ===
+// Takes no animation lock, so the red points stay draggable and the construction follows them
+const scrubCheckbox = document.getElementById('decasteljau-scrub');
+const scrubTSlider = document.getElementById('decasteljau-t');
+const scrubTValue = document.getElementById('decasteljau-t-value');
+const scrubPrevButton = document.getElementById('decasteljau-prev-level');
+const scrubNextButton = document.getElementById('decasteljau-next-level');
+const scrubLevelValue = document.getElementById('decasteljau-level-value');
+// Infinity shows every level, whatever the degree becomes
+let scrubLevel = Infinity;
+let scrubGroup = null;
+
+function updateDeCasteljauScrub() {
+    if (scrubGroup) {
+        scene.remove(scrubGroup);
+        scrubGroup.traverse(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+        });
+        scrubGroup = null;
+    }
+    const enabled = scrubCheckbox.checked && controlPoints.length >= 2;
+    scrubTSlider.disabled = !enabled;
+    const degree = controlPoints.length - 1;
+    const level = Math.min(scrubLevel, degree);
+    scrubPrevButton.disabled = !enabled || level === 0;
+    scrubNextButton.disabled = !enabled || level === degree;
+    if (!enabled) {
+        scrubLevelValue.textContent = '';
+        return;
+    }
+    const t = parseFloat(scrubTSlider.value);
+    const weights = pointParams.map(params => params.weight);
+    scrubGroup = visualizeDeCasteljau(scene, controlPoints, t, { weights, maxLevel: level, levelColors: true });
+    if (level < degree) {
+        scrubLevelValue.textContent = `Level ${level} of ${degree}: ${degree + 1 - level} points`;
+        return;
+    }
+    const point = hasNonUnitWeights(weights)
+        ? rationalDeCasteljau(controlPoints, weights, t)
+        : deCasteljau(controlPoints, t);
+    scrubLevelValue.textContent = `Level ${degree} of ${degree}: B(${t.toFixed(2)}) = (${point.x.toFixed(3)}, ${point.y.toFixed(3)})`;
+}
+scrubCheckbox.addEventListener('change', updateDeCasteljauScrub);
+scrubTSlider.addEventListener('input', () => {
+    scrubTValue.textContent = parseFloat(scrubTSlider.value).toFixed(2);
+    updateDeCasteljauScrub();
+});
+scrubPrevButton.addEventListener('click', () => {
+    scrubLevel = Math.max(Math.min(scrubLevel, controlPoints.length - 1) - 1, 0);
+    updateDeCasteljauScrub();
+});
+scrubNextButton.addEventListener('click', () => {
+    const next = Math.min(scrubLevel, controlPoints.length - 1) + 1;
+    scrubLevel = next >= controlPoints.length - 1 ? Infinity : next;
+    updateDeCasteljauScrub();
+});
+
 // === Speed Slider ===
 let animationSpeed = 1;
 const speedSlider = document.getElementById('speed-slider');
@@ -138,4 +822,4 @@ speedSliderValue.textContent = speedSlider.value + 'x';
 // Initial draw
 updateCurve();
 
-export { camera, scene };
+export { camera, scene, curveOptions, sketchOptions, viewOptions };
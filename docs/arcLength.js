@@ -0,0 +1,157 @@
+// arcLength.js
+// Arc-length parameterization of piecewise Bezier curves, for constant-speed sampling.
+import { deCasteljau, bezierDerivativePoints, getCatmullRomSegments } from './curves.js';
+
+// 5-point Gauss-Legendre nodes and weights on [-1, 1]
+const GAUSS_NODES = [0, -0.5384693101056831, 0.5384693101056831, -0.9061798459386640, 0.9061798459386640];
+const GAUSS_WEIGHTS = [0.5688888888888889, 0.4786286704993665, 0.4786286704993665, 0.2369268850561891, 0.2369268850561891];
+
+/**
+ * A curve made of Bezier segments that can be evaluated by distance along it.
+ * Each segment keeps a table of cumulative lengths at uniform parameter steps;
+ * a distance is located in the table and refined with Newton's method.
+ */
+export class ArcLengthCurve {
+    /**
+     * @param {THREE.Vector3[][]} segments - Bezier control points of each segment, joined end to end.
+     * @param {number} [samplesPerSegment=32] - Resolution of the length table of each segment.
+     */
+    constructor(segments, samplesPerSegment = 32) {
+        this.segments = segments;
+        this.samplesPerSegment = samplesPerSegment;
+        this.derivatives = segments.map(segment => bezierDerivativePoints(segment));
+        // tables[i][k] = length of segment i from t = 0 to t = k / samplesPerSegment
+        this.tables = this.derivatives.map(derivative => {
+            const table = [0];
+            for (let k = 0; k < samplesPerSegment; k++) {
+                const length = this._integrateSpeed(derivative, k / samplesPerSegment, (k + 1) / samplesPerSegment);
+                table.push(table[k] + length);
+            }
+            return table;
+        });
+        this.segmentLengths = this.tables.map(table => table[table.length - 1]);
+        this.segmentOffsets = [];
+        let total = 0;
+        for (const length of this.segmentLengths) {
+            this.segmentOffsets.push(total);
+            total += length;
+        }
+        this.totalLength = total;
+    }
+
+    _integrateSpeed(derivative, t0, t1) {
+        const half = (t1 - t0) / 2;
+        const mid = (t0 + t1) / 2;
+        let sum = 0;
+        for (let k = 0; k < GAUSS_NODES.length; k++) {
+            sum += GAUSS_WEIGHTS[k] * deCasteljau(derivative, mid + half * GAUSS_NODES[k]).length();
+        }
+        return sum * half;
+    }
+
+    /**
+     * @returns {number} Total length of the curve.
+     */
+    getLength() {
+        return this.totalLength;
+    }
+
+    /**
+     * @returns {number[]} Length of each segment.
+     */
+    getSegmentLengths() {
+        return this.segmentLengths.slice();
+    }
+
+    /**
+     * Finds the segment and local parameter at a distance along the curve.
+     * @param {number} distance - Distance from the start, clamped to [0, length].
+     * @returns {{segmentIndex: number, t: number}}
+     */
+    getParameterAtLength(distance) {
+        if (this.segments.length === 0) return { segmentIndex: -1, t: 0 };
+        const s = Math.min(Math.max(distance, 0), this.totalLength);
+        // Last segment whose start is not past s
+        let segmentIndex = this.segments.length - 1;
+        while (segmentIndex > 0 && this.segmentOffsets[segmentIndex] > s) segmentIndex--;
+        const table = this.tables[segmentIndex];
+        const local = Math.min(s - this.segmentOffsets[segmentIndex], this.segmentLengths[segmentIndex]);
+        // Binary search for the table interval containing the local distance
+        let lo = 0;
+        let hi = table.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (table[mid] <= local) lo = mid; else hi = mid;
+        }
+        const t0 = lo / this.samplesPerSegment;
+        const t1 = hi / this.samplesPerSegment;
+        const span = table[hi] - table[lo];
+        let t = span > 0 ? t0 + (t1 - t0) * (local - table[lo]) / span : t0;
+        // Newton refinement on length(t) - local = 0, staying inside the interval
+        const derivative = this.derivatives[segmentIndex];
+        for (let iter = 0; iter < 4; iter++) {
+            const speed = deCasteljau(derivative, t).length();
+            if (speed < 1e-12) break;
+            const error = table[lo] + this._integrateSpeed(derivative, t0, t) - local;
+            t = Math.min(Math.max(t - error / speed, t0), t1);
+            if (Math.abs(error) < 1e-9) break;
+        }
+        return { segmentIndex, t };
+    }
+
+    /**
+     * @param {number} distance - Distance from the start of the curve.
+     * @returns {THREE.Vector3|null} The point at that distance.
+     */
+    getPointAtLength(distance) {
+        const { segmentIndex, t } = this.getParameterAtLength(distance);
+        if (segmentIndex < 0) return null;
+        return deCasteljau(this.segments[segmentIndex], t);
+    }
+
+    /**
+     * @param {number} distance - Distance from the start of the curve.
+     * @returns {THREE.Vector3|null} The unit tangent at that distance.
+     */
+    getTangentAtLength(distance) {
+        const { segmentIndex, t } = this.getParameterAtLength(distance);
+        if (segmentIndex < 0) return null;
+        return deCasteljau(this.derivatives[segmentIndex], t).normalize();
+    }
+
+    /**
+     * Generates points spaced evenly by distance, including both end points.
+     * @param {number} count - Number of points (at least 2).
+     * @returns {THREE.Vector3[]}
+     */
+    getSpacedPoints(count) {
+        if (this.segments.length === 0 || count < 2) return [];
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            points.push(this.getPointAtLength(this.totalLength * i / (count - 1)));
+        }
+        return points;
+    }
+}
+
+/**
+ * Creates an arc-length parameterized Bezier curve.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} [samplesPerSegment=32]
+ * @returns {ArcLengthCurve}
+ */
+export function createBezierArcLengthCurve(controlPoints, samplesPerSegment = 32) {
+    const segments = controlPoints && controlPoints.length >= 2 ? [controlPoints] : [];
+    return new ArcLengthCurve(segments, samplesPerSegment);
+}
+
+/**
+ * Creates an arc-length parameterized Catmull-Rom spline.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {Object} [options] - { alpha, closed, pointParams }
+ * @param {number} [samplesPerSegment=32]
+ * @returns {ArcLengthCurve}
+ */
+export function createCatmullRomArcLengthCurve(controlPoints, options = {}, samplesPerSegment = 32) {
+    return new ArcLengthCurve(getCatmullRomSegments(controlPoints, options), samplesPerSegment);
+}
@@ -0,0 +1,24 @@
+// basis.js
+// Cubic segments written as p(t) = [t^3 t^2 t 1] · M · G, where M is the 4x4
+// basis matrix and G the four geometry vectors of the segment.
+// Converting between bases keeps the curve and only changes G:
+// G_to = M_to^-1 · M_from · G_from.
+
+// The matrices and the conversion live in the math core, which works on numeric arrays
+import { BASIS_MATRICES, basisConversionMatrix } from './core/basis.js';
+import { createThreeAdapter } from './core/three.js';
+
+export { BASIS_MATRICES, basisConversionMatrix };
+
+const core = createThreeAdapter(THREE);
+
+/**
+ * Converts the geometry of one cubic segment between bases.
+ * @param {THREE.Vector3[]} geometry - Four geometry vectors in the `from` basis.
+ * @param {string} from - 'bezier', 'catmullRom', 'bspline' or 'hermite'.
+ * @param {string} to - Target basis, same names.
+ * @returns {THREE.Vector3[]} Four geometry vectors in the `to` basis.
+ */
+export function convertSegmentBasis(geometry, from, to) {
+    return core.convertSegmentBasis(geometry, from, to);
+}
@@ -0,0 +1,133 @@
+// basisPlot.js
+// Side chart of the Bernstein basis polynomials of the animated curve, kept in step with
+// the de Casteljau sweep: a cursor marks t and the weight each control point has in the
+// curve point, B_{i,n}(t) (or the rational R_{i,n}(t)), is printed next to its colour.
+import { bernsteinBasis } from './core/bezier.js';
+
+const WIDTH = 300;
+const HEIGHT = 150;
+const PADDING = 8;
+const SAMPLES = 100;
+
+/**
+ * Weight of every control point in the curve point at t: the Bernstein polynomials, or with
+ * rational weights w_i B_{i,n}(t) / sum_j w_j B_{j,n}(t). Either way they sum to 1.
+ * @param {number} degree
+ * @param {number} t
+ * @param {number[]} [weights] - Rational weights, all 1 when omitted.
+ * @returns {number[]}
+ */
+export function basisWeights(degree, t, weights = null) {
+    const values = bernsteinBasis(degree, t);
+    if (!weights) return values;
+    const weighted = values.map((value, i) => value * weights[i]);
+    const sum = weighted.reduce((total, value) => total + value, 0);
+    return weighted.map(value => value / sum);
+}
+
+/** Colour of basis function i out of count, spread around the hue circle. */
+function basisColor(i, count) {
+    return `hsl(${Math.round(i * 300 / Math.max(count - 1, 1))}, 85%, 60%)`;
+}
+
+/**
+ * Shows the chart, replacing one left over from an earlier animation.
+ * @param {number} degree
+ * @param {Object} [opts] - Optional: { weights } for the rational basis.
+ * @returns {{update: Function, remove: Function}} update(t) moves the cursor, prints the
+ *   weights and returns them; remove() takes the chart off the page.
+ */
+export function showBasisPlot(degree, opts = {}) {
+    const old = document.getElementById('basis-plot');
+    if (old) old.remove();
+    const weights = opts.weights || null;
+    const count = degree + 1;
+
+    const box = document.createElement('div');
+    box.id = 'basis-plot';
+    box.style.position = 'fixed';
+    box.style.right = '2em';
+    // Above the Pause button and the triangle scheme
+    box.style.bottom = '17em';
+    box.style.background = 'rgba(30,30,30,0.95)';
+    box.style.color = '#fff';
+    box.style.padding = '6px 10px';
+    box.style.borderRadius = '10px';
+    box.style.boxShadow = '0 2px 12px rgba(0,0,0,0.3)';
+    box.style.fontSize = '0.8em';
+    box.style.zIndex = '10001';
+    box.style.pointerEvents = 'none';
+
+    const title = document.createElement('div');
+    title.style.color = '#aaa';
+    title.textContent = weights ? `Rational basis R_i,${degree}(t)` : `Bernstein basis B_i,${degree}(t)`;
+    box.appendChild(title);
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    canvas.style.display = 'block';
+    box.appendChild(canvas);
+    const legend = document.createElement('div');
+    legend.style.display = 'flex';
+    legend.style.flexWrap = 'wrap';
+    legend.style.gap = '2px 10px';
+    legend.style.maxWidth = `${WIDTH}px`;
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        const entry = document.createElement('span');
+        entry.style.whiteSpace = 'nowrap';
+        entry.style.fontFamily = 'monospace';
+        entry.innerHTML = `<span style="color:${basisColor(i, count)};">■</span> P${i} `;
+        const value = document.createElement('span');
+        entry.appendChild(value);
+        values.push(value);
+        legend.appendChild(entry);
+    }
+    box.appendChild(legend);
+    document.body.appendChild(box);
+
+    // The curves do not change during the sweep, only the cursor does
+    const curves = [];
+    for (let k = 0; k <= SAMPLES; k++) curves.push(basisWeights(degree, k / SAMPLES, weights));
+    const ctx = canvas.getContext('2d');
+    const x = (t) => PADDING + t * (WIDTH - 2 * PADDING);
+    const y = (value) => HEIGHT - PADDING - value * (HEIGHT - 2 * PADDING);
+
+    function update(t) {
+        const current = basisWeights(degree, t, weights);
+        current.forEach((value, i) => { values[i].textContent = value.toFixed(3); });
+        if (!ctx) return current;
+        ctx.clearRect(0, 0, WIDTH, HEIGHT);
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x(0), y(1), x(1) - x(0), y(0) - y(1));
+        for (let i = 0; i < count; i++) {
+            ctx.strokeStyle = basisColor(i, count);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            curves.forEach((sample, k) => {
+                if (k === 0) ctx.moveTo(x(0), y(sample[i]));
+                else ctx.lineTo(x(k / SAMPLES), y(sample[i]));
+            });
+            ctx.stroke();
+            // Where the cursor crosses the curve
+            ctx.fillStyle = basisColor(i, count);
+            ctx.beginPath();
+            ctx.arc(x(t), y(current[i]), 3, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x(t), y(0));
+        ctx.lineTo(x(t), y(1));
+        ctx.stroke();
+        ctx.fillStyle = '#fff';
+        ctx.font = '11px sans-serif';
+        ctx.fillText(`t = ${t.toFixed(2)}`, Math.min(x(t) + 4, WIDTH - 50), y(1) + 12);
+        return current;
+    }
+
+    update(0);
+    return { update, remove: () => box.remove() };
+}
@@ -0,0 +1,108 @@
+// bounds.js
+// Exact bounding boxes from the roots of the derivative, and convex hulls of control polygons.
+import { deCasteljau, bezierDerivativePoints, subdivideScalarBezier } from './curves.js';
+
+const AXES = ['x', 'y', 'z'];
+const ROOT_EPSILON = 1e-9;
+
+/**
+ * Finds the roots of a scalar Bezier function in [0, 1] by subdivision.
+ * A piece whose coefficients all have the same sign cannot have a root,
+ * because the function stays inside the hull of its coefficients.
+ * @param {number[]} coefficients - Bezier coefficients.
+ * @returns {number[]} Sorted roots.
+ */
+export function scalarBezierRoots(coefficients) {
+    const roots = [];
+    if (coefficients.every(c => Math.abs(c) < ROOT_EPSILON)) return roots;
+
+    function search(c, t0, t1) {
+        if (c.every(v => v > 0) || c.every(v => v < 0)) return;
+        if (t1 - t0 < ROOT_EPSILON) {
+            const t = (t0 + t1) / 2;
+            if (roots.length === 0 || t - roots[roots.length - 1] > 1e-6) roots.push(t);
+            return;
+        }
+        const { left, right } = subdivideScalarBezier(c, 0.5);
+        const tMid = (t0 + t1) / 2;
+        search(left, t0, tMid);
+        search(right, tMid, t1);
+    }
+
+    search(coefficients, 0, 1);
+    return roots;
+}
+
+/**
+ * Finds the parameters where each coordinate of a Bezier curve has a local extremum,
+ * i.e. where that coordinate of the derivative is zero.
+ * @param {THREE.Vector3[]} controlPoints - Bezier control points.
+ * @returns {Array<{axis: string, t: number, point: THREE.Vector3}>}
+ */
+export function bezierExtrema(controlPoints) {
+    if (controlPoints.length < 3) return [];
+    const derivative = bezierDerivativePoints(controlPoints);
+    const extrema = [];
+    AXES.forEach(axis => {
+        scalarBezierRoots(derivative.map(p => p[axis]))
+            .filter(t => t > ROOT_EPSILON && t < 1 - ROOT_EPSILON)
+            .forEach(t => extrema.push({ axis, t, point: deCasteljau(controlPoints, t) }));
+    });
+    return extrema;
+}
+
+/**
+ * Computes the exact axis-aligned bounding box of a Bezier curve:
+ * the box of its end points and its interior extrema.
+ * @param {THREE.Vector3[]} controlPoints - Bezier control points.
+ * @returns {{box: THREE.Box3, extrema: Array<{axis: string, t: number, point: THREE.Vector3}>}}
+ */
+export function bezierBoundingBox(controlPoints) {
+    const box = new THREE.Box3();
+    box.expandByPoint(controlPoints[0]);
+    box.expandByPoint(controlPoints[controlPoints.length - 1]);
+    const extrema = bezierExtrema(controlPoints);
+    extrema.forEach(({ point }) => box.expandByPoint(point));
+    return { box, extrema };
+}
+
+/**
+ * Computes the exact bounding box of a piecewise Bezier curve, such as the
+ * segments of a Catmull-Rom spline from getCurveSegments.
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @returns {{box: THREE.Box3, extrema: Array<{segmentIndex: number, axis: string, t: number, point: THREE.Vector3}>}}
+ */
+export function curveBoundingBox(segments) {
+    const box = new THREE.Box3();
+    const extrema = [];
+    segments.forEach((segment, segmentIndex) => {
+        const result = bezierBoundingBox(segment);
+        box.union(result.box);
+        result.extrema.forEach(extremum => extrema.push({ segmentIndex, ...extremum }));
+    });
+    return { box, extrema };
+}
+
+/**
+ * Computes the convex hull of points in the xy plane (Andrew's monotone chain).
+ * @param {THREE.Vector3[]} points
+ * @returns {THREE.Vector3[]} Hull vertices in counter-clockwise order, without repeating the first.
+ */
+export function convexHull(points) {
+    const sorted = points.map(p => p.clone()).sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    // The last point of each chain is the first point of the other
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
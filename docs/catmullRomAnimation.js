@@ -31,34 +31,44 @@
  * @param {Array} yellowPointMeshes
  * @param {number} index
  * @param {number} [duration=1800]
+ * @param {number} [which=1] - 1 for the second control point, 2 for the third.
+ * @param {number} [alpha=0] - Knot parameterization (0 uniform, 0.5 centripetal, 1 chordal).
+ * @param {Object} [tcb] - Kochanek-Bartels { tension, continuity, bias } of the point the tangent belongs to.
+ * @returns {Promise<THREE.Mesh>} Resolves with the control point mesh once it is shown.
  */
 import { animateVectorScalingTo, animateVectorTranslation, animateVector } from './vectorAnimation.js';
+import { catmullRomTangent } from './curves.js';
 
-export function animateCatmullRomControlPoint(scene, P0, P1, P2, yellowPointMeshes, index, duration = 3000, which = 1) {
+export function animateCatmullRomControlPoint(scene, P0, P1, P2, yellowPointMeshes, index, duration = 3000, which = 1, alpha = 0, tcb = null) {
     // which: 1 for first (b1), 2 for second (b2)
+    // alpha: knot parameterization (0 uniform, 0.5 centripetal, 1 chordal)
+    // tcb: Kochanek-Bartels { tension, continuity, bias } of P1 (b1) or P2 (b2)
     // Phase durations
     const phase1 = duration; // Draw (P2-P0) or (P1-P3)
     const phase2 = duration; // Scale
     const phase3 = duration; // Translate
 
-    // 1. Animate (P2 - P0) from P0 to P2 (for b1), or (P1 - P3) from P2 to P2 + (P1 - P3) (for b2)
-    let from, to, fullVec, scaleFormula, translateFormula, vectorFormula, finalPos;
+    // 1. Animate (P2 - P0) from P0 to P2 (for b1), or (P1 - P3) from P2 to P2 + (P1 - P3) (for b2).
+    // For non-uniform knots or TCB parameters the tangent m is drawn from P0 instead and scaled by 1/3.
+    let from, to, fullVec, scale, finalPos;
     // Always use the same logic for animation, only change LaTeX formulas for which=2
     from = P0;
-    to = P2;
-    fullVec = P2.clone().sub(P0);
-    if (which === 1) {
-        vectorFormula = '\\vec{v} = \\vec{P}_2 - \\vec{P}_0';
-        scaleFormula = '\\vec{v}_{\\text{scaled}} = \\cfrac{\\vec{P}_2 - \\vec{P}_0}{6}';
-        translateFormula = '\\vec{Q} = \\vec{P}_1 + \\cfrac{\\vec{P}_2 - \\vec{P}_0}{6}';
+    if (!alpha && !hasTCB(tcb)) {
+        fullVec = P2.clone().sub(P0);
+        scale = 1 / 6;
     } else {
-        vectorFormula = '\\vec{v} = \\vec{P}_1 - \\vec{P}_3';
-        scaleFormula = '\\vec{v}_{\\text{scaled}} = \\cfrac{\\vec{P}_1 - \\vec{P}_3}{6}';
-        translateFormula = '\\vec{Q} = \\vec{P}_2 + \\cfrac{\\vec{P}_1 - \\vec{P}_3}{6}';
+        // The points arrive reversed for b2, which flips the sign of the bias
+        const tangentTCB = which === 2 && tcb ? { ...tcb, bias: -(tcb.bias || 0) } : tcb;
+        fullVec = catmullRomTangent(P0, P1, P2, alpha, tangentTCB);
+        scale = 1 / 3;
     }
-    finalPos = P1.clone().add(fullVec.clone().multiplyScalar(1 / 6));
+    to = P0.clone().add(fullVec);
+    const { vectorFormula, scaleFormula, translateFormula } = tangentFormulas(which, alpha, tcb);
+    finalPos = P1.clone().add(fullVec.clone().multiplyScalar(scale));
     let line1 = null;
-    // No pause or await logic, just chained callbacks
+    let resolvePoint;
+    const shown = new Promise(resolve => { resolvePoint = resolve; });
+    // No pause or await logic, just chained callbacks (the vector animations follow the global pause)
     function runPhase1() {
         line1 = animateVector(
             scene,
@@ -72,7 +82,7 @@ export function animateCatmullRomControlPoint(scene, P0, P1, P2, yellowPointMesh
         );
     }
     function runPhase2() {
-        const scaledLength = fullVec.length() * (1 / 6);
+        const scaledLength = fullVec.length() * scale;
         animateVectorScalingTo(
             scene,
             line1,
@@ -105,9 +115,75 @@ export function animateCatmullRomControlPoint(scene, P0, P1, P2, yellowPointMesh
                     if (Array.isArray(yellowPointMeshes)) yellowPointMeshes.push(pointMesh);
                     // Remove the line after showing the point
                     scene.remove(line1);
+                    resolvePoint(pointMesh);
                 }
             }
         );
     }
     setTimeout(runPhase1, 0);
+    return shown;
+}
+
+/**
+ * Builds the LaTeX formulas for the three animation phases.
+ * Uniform splines without TCB parameters keep the classic (P_2 - P_0) / 6 form,
+ * otherwise the weighted tangent \vec{m} is shown and scaled by 1/3.
+ * @param {number} which - 1 for b1, 2 for b2.
+ * @param {number} alpha - Knot parameterization exponent.
+ * @param {Object} [tcb] - { tension, continuity, bias } of the point the tangent belongs to.
+ * @returns {{vectorFormula: string, scaleFormula: string, translateFormula: string}}
+ */
+function tangentFormulas(which, alpha, tcb) {
+    if (!alpha && !hasTCB(tcb)) {
+        if (which === 1) {
+            return {
+                vectorFormula: '\\vec{v} = \\vec{P}_2 - \\vec{P}_0',
+                scaleFormula: '\\vec{v}_{\\text{scaled}} = \\cfrac{\\vec{P}_2 - \\vec{P}_0}{6}',
+                translateFormula: '\\vec{Q} = \\vec{P}_1 + \\cfrac{\\vec{P}_2 - \\vec{P}_0}{6}'
+            };
+        }
+        return {
+            vectorFormula: '\\vec{v} = \\vec{P}_1 - \\vec{P}_3',
+            scaleFormula: '\\vec{v}_{\\text{scaled}} = \\cfrac{\\vec{P}_1 - \\vec{P}_3}{6}',
+            translateFormula: '\\vec{Q} = \\vec{P}_2 + \\cfrac{\\vec{P}_1 - \\vec{P}_3}{6}'
+        };
+    }
+    // Chords on either side of the point, walking backwards for b2
+    const [incomingChord, outgoingChord] = which === 1
+        ? ['(\\vec{P}_1 - \\vec{P}_0)', '(\\vec{P}_2 - \\vec{P}_1)']
+        : ['(\\vec{P}_2 - \\vec{P}_3)', '(\\vec{P}_1 - \\vec{P}_2)'];
+    let incomingWeight = '\\cfrac{1}{2}';
+    let outgoingWeight = '\\cfrac{1}{2}';
+    const notes = [];
+    if (alpha) {
+        const [dIn, dOut] = which === 1 ? ['d_0', 'd_1'] : ['d_2', 'd_1'];
+        incomingWeight = `\\cfrac{${dOut}^2}{${dIn}(${dIn} + ${dOut})}`;
+        outgoingWeight = `\\cfrac{${dIn}}{${dIn} + ${dOut}}`;
+        notes.push(`d_i = \\lVert \\vec{P}_{i+1} - \\vec{P}_i \\rVert^{${alpha}}`);
+    }
+    if (hasTCB(tcb)) {
+        const k = which === 1 ? 1 : 2;
+        const T = `T_${k}`, C = `C_${k}`, B = `B_${k}`;
+        // b1 takes the tangent leaving P_1, b2 the one arriving at P_2
+        if (which === 1) {
+            incomingWeight = `(1 - ${T})(1 + ${B})(1 + ${C})` + incomingWeight;
+            outgoingWeight = `(1 - ${T})(1 - ${B})(1 - ${C})` + outgoingWeight;
+        } else {
+            incomingWeight = `(1 - ${T})(1 - ${B})(1 + ${C})` + incomingWeight;
+            outgoingWeight = `(1 - ${T})(1 + ${B})(1 - ${C})` + outgoingWeight;
+        }
+        notes.push(`${T} = ${tcb.tension || 0},\\ ${C} = ${tcb.continuity || 0},\\ ${B} = ${tcb.bias || 0}`);
+    }
+    const m = `\\vec{m}_${which}`;
+    const P = which === 1 ? '\\vec{P}_1' : '\\vec{P}_2';
+    return {
+        vectorFormula: `${m} = ${incomingWeight}${incomingChord} + ${outgoingWeight}${outgoingChord}`
+            + notes.map(note => `,\\quad ${note}`).join(''),
+        scaleFormula: `\\vec{v}_{\\text{scaled}} = \\cfrac{${m}}{3}`,
+        translateFormula: `\\vec{Q} = ${P} + \\cfrac{${m}}{3}`
+    };
+}
+
+function hasTCB(tcb) {
+    return !!tcb && !!(tcb.tension || tcb.continuity || tcb.bias);
 }
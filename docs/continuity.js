@@ -0,0 +1,114 @@
+// continuity.js
+// Continuity of a piecewise Bezier curve at the joints between its segments.
+// Parametric continuity (C0, C1, C2) compares derivatives with respect to the
+// global parameter s = i + t of segment i; geometric continuity (G1, G2) compares
+// the unit tangent and the curvature vector, which do not depend on the parameterization.
+import { deCasteljau, bezierDerivative } from './curves.js';
+
+// Jumps below this, relative to the size of the compared quantities, count as zero
+const RELATIVE_TOLERANCE = 1e-6;
+// Smallest speed at which a tangent direction is defined
+const SPEED_EPSILON = 1e-12;
+
+/**
+ * Curvature vector (d2 - (d2 · T) T) / |d1|^2, which points to the centre of curvature
+ * and has the curvature as its length; works in any dimension.
+ * @param {THREE.Vector3} d1 - First derivative.
+ * @param {THREE.Vector3} d2 - Second derivative.
+ * @returns {THREE.Vector3|null} null where the speed is zero.
+ */
+function curvatureVector(d1, d2) {
+    const speedSq = d1.lengthSq();
+    if (speedSq < SPEED_EPSILON * SPEED_EPSILON) return null;
+    const tangent = d1.clone().normalize();
+    return d2.clone().addScaledVector(tangent, -d2.dot(tangent)).divideScalar(speedSq);
+}
+
+// Whether a jump is zero relative to the quantities it is measured between
+function isZeroJump(jump, a, b, floor) {
+    return jump <= RELATIVE_TOLERANCE * Math.max(a, b, floor);
+}
+
+/**
+ * Compares the end of one Bezier segment with the start of the next.
+ * @param {THREE.Vector3[]} left - Control points of the segment ending at the joint.
+ * @param {THREE.Vector3[]} right - Control points of the segment starting there.
+ * @param {number} [scale=1] - Size of the curve, the floor for the position tolerance.
+ * @returns {{point: THREE.Vector3, positionJump: number, firstDerivativeJump: number,
+ *   secondDerivativeJump: number, tangentAngle: number, curvatureJump: number,
+ *   C0: boolean, C1: boolean, C2: boolean, G1: boolean, G2: boolean}}
+ *   tangentAngle is in radians, NaN where a tangent is undefined; curvatureJump is the
+ *   length of the difference of the curvature vectors.
+ */
+export function analyzeJoint(left, right, scale = 1) {
+    const end = deCasteljau(left, 1);
+    const start = deCasteljau(right, 0);
+    const d1Left = bezierDerivative(left, 1, 1);
+    const d1Right = bezierDerivative(right, 0, 1);
+    const d2Left = bezierDerivative(left, 1, 2);
+    const d2Right = bezierDerivative(right, 0, 2);
+
+    const positionJump = end.distanceTo(start);
+    const firstDerivativeJump = d1Left.distanceTo(d1Right);
+    const secondDerivativeJump = d2Left.distanceTo(d2Right);
+    const speedLeft = d1Left.length();
+    const speedRight = d1Right.length();
+    const tangentAngle = speedLeft > SPEED_EPSILON && speedRight > SPEED_EPSILON
+        ? d1Left.angleTo(d1Right)
+        : NaN;
+    const kLeft = curvatureVector(d1Left, d2Left);
+    const kRight = curvatureVector(d1Right, d2Right);
+    const curvatureJump = kLeft && kRight ? kLeft.distanceTo(kRight) : NaN;
+
+    const C0 = isZeroJump(positionJump, 0, 0, scale);
+    const C1 = C0 && isZeroJump(firstDerivativeJump, speedLeft, speedRight, SPEED_EPSILON);
+    const C2 = C1 && isZeroJump(secondDerivativeJump, d2Left.length(), d2Right.length(), SPEED_EPSILON);
+    const G1 = C0 && tangentAngle <= RELATIVE_TOLERANCE;
+    const G2 = G1 && isZeroJump(curvatureJump, kLeft.length(), kRight.length(), 1 / scale);
+    return {
+        point: end,
+        positionJump,
+        firstDerivativeJump,
+        secondDerivativeJump,
+        tangentAngle,
+        curvatureJump,
+        C0, C1, C2, G1, G2
+    };
+}
+
+/**
+ * Names the strongest continuity of a joint: 'C2', 'G2', 'C1', 'G1', 'C0' or 'none'.
+ * C2 implies G2 and C1 implies G1 at regular points, so a G2 joint that is not C2 ranks
+ * above C1, since it is the smoother one to the eye.
+ * @param {Object} joint - Result of analyzeJoint.
+ * @returns {string}
+ */
+export function continuityClass(joint) {
+    if (joint.C2) return 'C2';
+    if (joint.G2) return 'G2';
+    if (joint.C1) return 'C1';
+    if (joint.G1) return 'G1';
+    if (joint.C0) return 'C0';
+    return 'none';
+}
+
+/**
+ * Analyses every joint of a piecewise Bezier curve.
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {Object} [options] - { closed } adds the joint from the last segment back to the first.
+ * @returns {Array<Object>} One analyzeJoint result per joint with its segmentIndex
+ *   (the segment ending there) and class.
+ */
+export function analyzeContinuity(segments, options = {}) {
+    if (segments.length === 0) return [];
+    const box = new THREE.Box3();
+    segments.forEach(segment => box.expandByPoint(segment[0]).expandByPoint(segment[segment.length - 1]));
+    const scale = Math.max(box.getSize(new THREE.Vector3()).length(), 1e-9);
+    const jointCount = options.closed && segments.length > 1 ? segments.length : segments.length - 1;
+    const joints = [];
+    for (let i = 0; i < jointCount; i++) {
+        const joint = analyzeJoint(segments[i], segments[(i + 1) % segments.length], scale);
+        joints.push({ segmentIndex: i, class: continuityClass(joint), ...joint });
+    }
+    return joints;
+}
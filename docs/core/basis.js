@@ -0,0 +1,94 @@
+// basis.js
+// Cubic segments as p(t) = [t^3 t^2 t 1] · M · G with a 4x4 basis matrix M and four
+// geometry vectors G. Converting keeps the curve: G_to = M_to^-1 · M_from · G_from.
+import { combine } from './points.js';
+
+/**
+ * Basis matrices (row-major) of the cubic segment types.
+ * Hermite geometry is (P0, P1, T0, T1): the two end points and their tangents.
+ */
+export const BASIS_MATRICES = {
+    bezier: [
+        [-1, 3, -3, 1],
+        [3, -6, 3, 0],
+        [-3, 3, 0, 0],
+        [1, 0, 0, 0]
+    ],
+    catmullRom: [
+        [-0.5, 1.5, -1.5, 0.5],
+        [1, -2.5, 2, -0.5],
+        [-0.5, 0, 0.5, 0],
+        [0, 1, 0, 0]
+    ],
+    bspline: [
+        [-1 / 6, 3 / 6, -3 / 6, 1 / 6],
+        [3 / 6, -6 / 6, 3 / 6, 0],
+        [-3 / 6, 0, 3 / 6, 0],
+        [1 / 6, 4 / 6, 1 / 6, 0]
+    ],
+    hermite: [
+        [2, -2, 1, 1],
+        [-3, 3, -2, -1],
+        [0, 0, 1, 0],
+        [1, 0, 0, 0]
+    ]
+};
+
+/**
+ * @param {number[][]} a - Row-major square matrix.
+ * @param {number[][]} b
+ * @returns {number[][]} a · b
+ */
+function multiply(a, b) {
+    return a.map(row => b[0].map((_, col) => row.reduce((sum, value, k) => sum + value * b[k][col], 0)));
+}
+
+/**
+ * Inverts a square matrix by Gauss-Jordan elimination with partial pivoting.
+ * @param {number[][]} m - Row-major square matrix.
+ * @returns {number[][]}
+ */
+function invert(m) {
+    const n = m.length;
+    const rows = m.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+        }
+        if (Math.abs(rows[pivot][col]) < 1e-12) throw new Error('Basis matrix is singular');
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        const p = rows[col][col];
+        rows[col] = rows[col].map(value => value / p);
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const f = rows[r][col];
+            rows[r] = rows[r].map((value, j) => value - f * rows[col][j]);
+        }
+    }
+    return rows.map(row => row.slice(n));
+}
+
+/**
+ * Returns the 4x4 matrix that maps geometry in one basis to geometry in another.
+ * @param {string} from - 'bezier', 'catmullRom', 'bspline' or 'hermite'.
+ * @param {string} to - Target basis, same names.
+ * @returns {number[][]} M_to^-1 · M_from, row-major.
+ */
+export function basisConversionMatrix(from, to) {
+    if (!BASIS_MATRICES[from] || !BASIS_MATRICES[to]) {
+        throw new Error(`Unknown basis: ${BASIS_MATRICES[from] ? to : from}`);
+    }
+    return multiply(invert(BASIS_MATRICES[to]), BASIS_MATRICES[from]);
+}
+
+/**
+ * Converts the geometry of one cubic segment between bases.
+ * @param {number[][]} geometry - Four geometry vectors in the `from` basis.
+ * @param {string} from
+ * @param {string} to
+ * @returns {number[][]} Four geometry vectors in the `to` basis.
+ */
+export function convertSegmentBasis(geometry, from, to) {
+    return basisConversionMatrix(from, to).map(row => combine(geometry, row));
+}
@@ -0,0 +1,260 @@
+// bezier.js
+// Bezier curves of any degree on numeric-array points of any dimension.
+import { lerp, sub, scale, distance } from './points.js';
+
+/**
+ * Evaluates a Bezier curve with de Casteljau's algorithm.
+ * @param {number[][]} controlPoints
+ * @param {number} t - Curve parameter [0, 1].
+ * @returns {number[]}
+ */
+export function deCasteljau(controlPoints, t) {
+    const levels = deCasteljauLevels(controlPoints, t);
+    return levels[levels.length - 1][0];
+}
+
+/**
+ * Runs de Casteljau's algorithm and keeps every interpolation level.
+ * @param {number[][]} controlPoints
+ * @param {number} t
+ * @returns {number[][][]} levels[0] are the control points, the last level the curve point.
+ */
+export function deCasteljauLevels(controlPoints, t) {
+    if (controlPoints.length === 0) throw new Error('A Bezier curve needs at least one control point');
+    const levels = [controlPoints.map(point => point.slice())];
+    while (levels[levels.length - 1].length > 1) {
+        const points = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < points.length - 1; i++) next.push(lerp(points[i], points[i + 1], t));
+        levels.push(next);
+    }
+    return levels;
+}
+
+/**
+ * Splits a Bezier curve at t into two curves of the same degree.
+ * @param {number[][]} controlPoints
+ * @param {number} [t=0.5]
+ * @returns {{left: number[][], right: number[][]}}
+ */
+export function subdivideBezier(controlPoints, t = 0.5) {
+    const levels = deCasteljauLevels(controlPoints, t);
+    return {
+        left: levels.map(level => level[0]),
+        right: levels.map(level => level[level.length - 1]).reverse()
+    };
+}
+
+/**
+ * Raises the degree by one without changing the curve.
+ * @param {number[][]} controlPoints
+ * @returns {number[][]} n + 2 control points.
+ */
+export function elevateBezierDegree(controlPoints) {
+    const n = controlPoints.length - 1;
+    const elevated = [controlPoints[0].slice()];
+    for (let i = 1; i <= n; i++) {
+        // i/(n+1) P_{i-1} + (1 - i/(n+1)) P_i
+        elevated.push(lerp(controlPoints[i], controlPoints[i - 1], i / (n + 1)));
+    }
+    elevated.push(controlPoints[n].slice());
+    return elevated;
+}
+
+/**
+ * Approximates a Bezier curve with one of degree one lower. Keeps both end points and
+ * fits the inner points so that elevating the result back is as close as possible to
+ * the original control points (least squares).
+ * @param {number[][]} controlPoints - n + 1 control points (n >= 2).
+ * @param {number} [samples=64] - Samples used to measure the error.
+ * @returns {{points: number[][], error: number}|null} The reduced control points and the
+ *   largest distance between the two curves, or null when the curve is already linear.
+ */
+export function reduceBezierDegree(controlPoints, samples = 64) {
+    const n = controlPoints.length - 1;
+    if (n < 2) return null;
+    // Elevating Q (degree n - 1) gives E Q with E[i][i - 1] = i/n, E[i][i] = 1 - i/n
+    const elevation = (i, j) => (j === i - 1 ? i / n : j === i ? 1 - i / n : 0);
+    const first = controlPoints[0];
+    const last = controlPoints[n];
+    const free = n - 2; // unknowns Q_1 .. Q_{n-2}
+    const reduced = [first.slice()];
+    if (free > 0) {
+        // Normal equations for the free points with Q_0 and Q_{n-1} fixed
+        const A = [];
+        const b = [];
+        for (let r = 0; r < free; r++) {
+            A.push(new Array(free).fill(0));
+            b.push(new Array(first.length).fill(0));
+        }
+        for (let i = 0; i <= n; i++) {
+            const residual = sub(sub(controlPoints[i], scale(first, elevation(i, 0))), scale(last, elevation(i, n - 1)));
+            for (let r = 0; r < free; r++) {
+                const er = elevation(i, r + 1);
+                if (er === 0) continue;
+                b[r] = b[r].map((value, k) => value + er * residual[k]);
+                for (let c = 0; c < free; c++) A[r][c] += er * elevation(i, c + 1);
+            }
+        }
+        reduced.push(...solveLinearSystem(A, b));
+    }
+    reduced.push(last.slice());
+    let error = 0;
+    for (let k = 0; k <= samples; k++) {
+        const t = k / samples;
+        error = Math.max(error, distance(deCasteljau(controlPoints, t), deCasteljau(reduced, t)));
+    }
+    return { points: reduced, error };
+}
+
+/**
+ * Solves A x = b by Gaussian elimination with partial pivoting, where b holds points.
+ * @param {number[][]} A - Square matrix (modified in place).
+ * @param {number[][]} b - Right-hand sides (modified in place).
+ * @returns {number[][]}
+ */
+function solveLinearSystem(A, b) {
+    const size = A.length;
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < size; r++) {
+            if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+        }
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+        for (let r = col + 1; r < size; r++) {
+            const factor = A[r][col] / A[col][col];
+            for (let c = col; c < size; c++) A[r][c] -= factor * A[col][c];
+            b[r] = sub(b[r], scale(b[col], factor));
+        }
+    }
+    const x = new Array(size);
+    for (let r = size - 1; r >= 0; r--) {
+        let value = b[r];
+        for (let c = r + 1; c < size; c++) value = sub(value, scale(x[c], A[r][c]));
+        x[r] = scale(value, 1 / A[r][r]);
+    }
+    return x;
+}
+
+/**
+ * Control points of the derivative (hodograph): n * (P_{i+1} - P_i).
+ * @param {number[][]} controlPoints
+ * @returns {number[][]}
+ */
+export function bezierDerivativePoints(controlPoints) {
+    const n = controlPoints.length - 1;
+    const derivative = [];
+    for (let i = 0; i < n; i++) derivative.push(scale(sub(controlPoints[i + 1], controlPoints[i]), n));
+    return derivative;
+}
+
+/**
+ * Evaluates a derivative of a Bezier curve.
+ * @param {number[][]} controlPoints
+ * @param {number} t
+ * @param {number} [order=1]
+ * @returns {number[]} Zero vector when order exceeds the degree.
+ */
+export function bezierDerivative(controlPoints, t, order = 1) {
+    let points = controlPoints;
+    for (let k = 0; k < order; k++) {
+        if (points.length < 2) return new Array(controlPoints[0].length).fill(0);
+        points = bezierDerivativePoints(points);
+    }
+    return deCasteljau(points, t);
+}
+
+/**
+ * Values of the Bernstein polynomials C(n, i) t^i (1 - t)^(n - i), i = 0 .. n,
+ * by the same repeated interpolation as de Casteljau, which keeps them stable.
+ * @param {number} n - Degree.
+ * @param {number} t
+ * @returns {number[]} n + 1 values summing to 1.
+ */
+export function bernsteinBasis(n, t) {
+    let values = [1];
+    for (let k = 1; k <= n; k++) {
+        const next = new Array(k + 1).fill(0);
+        values.forEach((value, j) => {
+            next[j] += (1 - t) * value;
+            next[j + 1] += t * value;
+        });
+        values = next;
+    }
+    return values;
+}
+
+/**
+ * Converts a Bezier curve to the power basis p(t) = a_0 + a_1 t + ... + a_n t^n,
+ * with a_k = C(n, k) Δ^k P_0, the k-th forward difference of the control points.
+ * @param {number[][]} controlPoints
+ * @returns {number[][]} Coefficients a_0 .. a_n.
+ */
+export function bezierPowerCoefficients(controlPoints) {
+    const n = controlPoints.length - 1;
+    const coefficients = [];
+    let differences = controlPoints;
+    let binomial = 1;
+    for (let k = 0; k <= n; k++) {
+        coefficients.push(scale(differences[0], binomial));
+        const next = [];
+        for (let i = 0; i < differences.length - 1; i++) next.push(sub(differences[i + 1], differences[i]));
+        differences = next;
+        binomial = binomial * (n - k) / (k + 1);
+    }
+    return coefficients;
+}
+
+/**
+ * Lifts weighted points to homogeneous coordinates (w x_1, ..., w x_d, w).
+ * @param {number[][]} controlPoints
+ * @param {number[]} [weights] - All 1 when omitted.
+ * @returns {number[][]} Points of dimension d + 1.
+ */
+export function toHomogeneous(controlPoints, weights) {
+    return controlPoints.map((point, i) => {
+        const w = weights && weights[i] !== undefined ? weights[i] : 1;
+        return [...scale(point, w), w];
+    });
+}
+
+/**
+ * Projects homogeneous points back to weighted points.
+ * @param {number[][]} homogeneousPoints
+ * @returns {{points: number[][], weights: number[]}}
+ */
+export function fromHomogeneous(homogeneousPoints) {
+    return {
+        points: homogeneousPoints.map(h => scale(h.slice(0, -1), 1 / h[h.length - 1])),
+        weights: homogeneousPoints.map(h => h[h.length - 1])
+    };
+}
+
+/**
+ * Evaluates a rational Bezier curve by de Casteljau in homogeneous coordinates.
+ * @param {number[][]} controlPoints
+ * @param {number[]} weights
+ * @param {number} t
+ * @returns {number[]}
+ */
+export function rationalDeCasteljau(controlPoints, weights, t) {
+    const h = deCasteljau(toHomogeneous(controlPoints, weights), t);
+    return scale(h.slice(0, -1), 1 / h[h.length - 1]);
+}
+
+/**
+ * Samples a Bezier curve at evenly spaced parameters.
+ * @param {number[][]} controlPoints
+ * @param {number} segments - Number of intervals; segments + 1 points are returned.
+ * @param {number[]} [weights] - Rational weights.
+ * @returns {number[][]}
+ */
+export function sampleBezier(controlPoints, segments, weights) {
+    const points = [];
+    for (let k = 0; k <= segments; k++) {
+        const t = k / segments;
+        points.push(weights ? rationalDeCasteljau(controlPoints, weights, t) : deCasteljau(controlPoints, t));
+    }
+    return points;
+}
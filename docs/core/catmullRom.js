@@ -0,0 +1,135 @@
+// catmullRom.js
+// Catmull-Rom and Kochanek-Bartels splines on numeric-array points of any dimension,
+// converted segment by segment to cubic Bezier curves.
+import { sub, add, scale, distance } from './points.js';
+import { deCasteljau } from './bezier.js';
+
+// Knot intervals below this are treated as coincident points.
+const KNOT_EPSILON = 1e-6;
+
+/**
+ * Catmull-Rom tangent at P1, scaled to the parameter interval from P1 to P2.
+ * Knots are spaced by |P_{i+1} - P_i|^alpha (0 uniform, 0.5 centripetal, 1 chordal);
+ * with TCB parameters this is the Kochanek-Bartels tangent leaving P1 towards P2,
+ * or the one arriving at P1 from P0 when incoming is set. They differ by the sign
+ * of the continuity: C = -1 turns each into its own chord, a corner at P1.
+ * @param {number[]} P0
+ * @param {number[]} P1
+ * @param {number[]} P2
+ * @param {number} [alpha=0]
+ * @param {Object} [tcb] - { tension, continuity, bias } of P1.
+ * @param {number[]} [intervals] - Knot intervals [P0 to P1, P1 to P2] to use instead of alpha.
+ * @param {boolean} [incoming=false] - Take the tangent arriving at P1 instead of the one leaving it.
+ * @returns {number[]}
+ */
+export function catmullRomTangent(P0, P1, P2, alpha = 0, tcb = null, intervals = null, incoming = false) {
+    const d1 = intervals ? intervals[1] : Math.pow(distance(P2, P1), alpha);
+    let d0 = intervals ? intervals[0] : Math.pow(distance(P1, P0), alpha);
+    // Duplicated end points have no incoming interval, mirror the outgoing one
+    if (d0 < KNOT_EPSILON) d0 = d1 < KNOT_EPSILON ? 1 : d1;
+    let incomingWeight = (d1 * d1) / (d0 * (d0 + d1));
+    let outgoingWeight = d0 / (d0 + d1);
+    if (tcb) {
+        const { tension = 0, bias = 0 } = tcb;
+        const continuity = incoming ? -(tcb.continuity || 0) : tcb.continuity || 0;
+        incomingWeight *= (1 - tension) * (1 + bias) * (1 + continuity);
+        outgoingWeight *= (1 - tension) * (1 - bias) * (1 - continuity);
+    }
+    return add(scale(sub(P1, P0), incomingWeight), scale(sub(P2, P1), outgoingWeight));
+}
+
+/**
+ * Bezier control points of the Catmull-Rom segment from P1 to P2.
+ * @param {number[]} P0
+ * @param {number[]} P1
+ * @param {number[]} P2
+ * @param {number[]} P3
+ * @param {Object} [options] - { alpha, tcb1, tcb2, intervals } with the TCB parameters of P1 and P2;
+ *   intervals are the knot intervals of the three spans P0-P1, P1-P2, P2-P3, replacing alpha.
+ * @returns {number[][]} Four Bezier control points.
+ */
+export function catmullRomToBezier(P0, P1, P2, P3, options = {}) {
+    const alpha = options.alpha || 0;
+    const d = options.intervals;
+    const startTangent = catmullRomTangent(P0, P1, P2, alpha, options.tcb1, d && [d[0], d[1]]);
+    // Taken from P2 back towards P1: arriving at P2 is leaving it on the walk backwards,
+    // which also flips the sign of the bias
+    const endTCB = options.tcb2 ? { ...options.tcb2, bias: -(options.tcb2.bias || 0) } : null;
+    const endTangent = catmullRomTangent(P3, P2, P1, alpha, endTCB, d && [d[2], d[1]]);
+    return [P1.slice(), add(P1, scale(startTangent, 1 / 3)), add(P2, scale(endTangent, 1 / 3)), P2.slice()];
+}
+
+/**
+ * Number of segments of a Catmull-Rom spline; closed splines need at least three points.
+ * @param {number} pointCount
+ * @param {boolean} [closed=false]
+ * @returns {number}
+ */
+export function catmullRomSegmentCount(pointCount, closed = false) {
+    if (pointCount < 2) return 0;
+    return closed && pointCount >= 3 ? pointCount : pointCount - 1;
+}
+
+/**
+ * Indices of the four points shaping segment i. Open splines repeat their end points,
+ * closed splines wrap around.
+ * @param {number} pointCount
+ * @param {number} i
+ * @param {boolean} [closed=false]
+ * @returns {number[]}
+ */
+export function catmullRomSegmentIndices(pointCount, i, closed = false) {
+    if (closed && pointCount >= 3) {
+        const wrap = (k) => ((k % pointCount) + pointCount) % pointCount;
+        return [wrap(i - 1), wrap(i), wrap(i + 1), wrap(i + 2)];
+    }
+    const clamp = (k) => Math.min(Math.max(k, 0), pointCount - 1);
+    return [clamp(i - 1), clamp(i), clamp(i + 1), clamp(i + 2)];
+}
+
+/**
+ * Converts a whole Catmull-Rom spline to cubic Bezier segments.
+ * @param {number[][]} controlPoints
+ * @param {Object} [options] - { alpha, closed, pointParams, knotIntervals } where pointParams[i] holds
+ *   TCB parameters and knotIntervals[i], when given, the knot interval from point i to the next one.
+ * @returns {number[][][]}
+ */
+export function catmullRomSegments(controlPoints, options = {}) {
+    const pointParams = options.pointParams || [];
+    const knotIntervals = options.knotIntervals;
+    // A repeated end point has no span of its own
+    const interval = (from, to) => (from === to ? 0 : knotIntervals[from]);
+    const segments = [];
+    const count = catmullRomSegmentCount(controlPoints.length, options.closed);
+    for (let i = 0; i < count; i++) {
+        const [i0, i1, i2, i3] = catmullRomSegmentIndices(controlPoints.length, i, options.closed);
+        segments.push(catmullRomToBezier(
+            controlPoints[i0], controlPoints[i1], controlPoints[i2], controlPoints[i3],
+            {
+                alpha: options.alpha,
+                tcb1: pointParams[i1],
+                tcb2: pointParams[i2],
+                intervals: knotIntervals && [interval(i0, i1), interval(i1, i2), interval(i2, i3)]
+            }
+        ));
+    }
+    return segments;
+}
+
+/**
+ * Samples a Catmull-Rom spline, the same number of points on every segment.
+ * @param {number[][]} controlPoints
+ * @param {number} samplesPerSegment - Intervals per segment.
+ * @param {Object} [options] - { alpha, closed, pointParams }
+ * @returns {number[][]}
+ */
+export function sampleCatmullRom(controlPoints, samplesPerSegment, options = {}) {
+    const points = [];
+    catmullRomSegments(controlPoints, options).forEach((segment, i) => {
+        // Segments share their end points
+        for (let k = i === 0 ? 0 : 1; k <= samplesPerSegment; k++) {
+            points.push(deCasteljau(segment, k / samplesPerSegment));
+        }
+    });
+    return points;
+}
@@ -0,0 +1,7 @@
+// index.js
+// Curve math core: plain numeric arrays, no browser or Three.js needed,
+// so the same algorithms run in the app and in Node.
+export * from './points.js';
+export * from './bezier.js';
+export * from './catmullRom.js';
+export * from './basis.js';
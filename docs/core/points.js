@@ -0,0 +1,79 @@
+// points.js
+// Points and vectors as plain numeric arrays of any dimension.
+// Every function returns a new array and leaves its arguments unchanged.
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]} a + b
+ */
+export function add(a, b) {
+    return a.map((value, i) => value + b[i]);
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]} a - b
+ */
+export function sub(a, b) {
+    return a.map((value, i) => value - b[i]);
+}
+
+/**
+ * @param {number[]} a
+ * @param {number} s
+ * @returns {number[]} s * a
+ */
+export function scale(a, s) {
+    return a.map(value => value * s);
+}
+
+/**
+ * Linear interpolation (1 - t) a + t b.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number} t
+ * @returns {number[]}
+ */
+export function lerp(a, b, t) {
+    return a.map((value, i) => value + (b[i] - value) * t);
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function dot(a, b) {
+    return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+/**
+ * @param {number[]} a
+ * @returns {number} Euclidean length.
+ */
+export function length(a) {
+    return Math.sqrt(dot(a, a));
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Euclidean distance.
+ */
+export function distance(a, b) {
+    return length(sub(a, b));
+}
+
+/**
+ * Weighted sum of points, sum_i weights[i] * points[i].
+ * @param {number[][]} points
+ * @param {number[]} weights
+ * @returns {number[]}
+ */
+export function combine(points, weights) {
+    const result = new Array(points[0].length).fill(0);
+    points.forEach((point, i) => point.forEach((value, k) => { result[k] += weights[i] * value; }));
+    return result;
+}
@@ -0,0 +1,56 @@
+// three.js
+// Adapter between the math core and Three.js vectors.
+import * as core from './index.js';
+
+/**
+ * Converts a vector to a numeric array.
+ * @param {{x: number, y: number, z?: number, w?: number}} vector - A Three.js Vector2, 3 or 4.
+ * @returns {number[]}
+ */
+export function toArray(vector) {
+    if (vector.isVector4) return [vector.x, vector.y, vector.z, vector.w];
+    if (vector.isVector2) return [vector.x, vector.y];
+    return [vector.x, vector.y, vector.z];
+}
+
+/**
+ * Creates the core functions working on Three.js vectors instead of arrays.
+ * Results come back as the kind of vector that went in: homogeneous points
+ * (THREE.Vector4) stay homogeneous, everything else becomes a THREE.Vector3.
+ * The Three.js namespace is passed in, so this works with the CDN global and
+ * with an imported package alike.
+ * @param {Object} THREE - The Three.js namespace.
+ * @returns {Object} Functions named like the core ones.
+ */
+export function createThreeAdapter(THREE) {
+    const toVector3 = (array) => new THREE.Vector3(array[0] || 0, array[1] || 0, array[2] || 0);
+    const toVector = (array) => (array.length === 4 ? new THREE.Vector4(...array) : toVector3(array));
+    const toArrays = (vectors) => vectors.map(toArray);
+    const toVectors = (arrays) => arrays.map(toVector);
+    return {
+        toVector3,
+        deCasteljau: (points, t) => toVector(core.deCasteljau(toArrays(points), t)),
+        deCasteljauLevels: (points, t) => core.deCasteljauLevels(toArrays(points), t).map(toVectors),
+        rationalDeCasteljau: (points, weights, t) => toVector3(core.rationalDeCasteljau(toArrays(points), weights, t)),
+        toHomogeneous: (points, weights) => toVectors(core.toHomogeneous(toArrays(points), weights)),
+        fromHomogeneous: (points) => {
+            const { points: projected, weights } = core.fromHomogeneous(toArrays(points));
+            return { points: toVectors(projected), weights };
+        },
+        subdivideBezier: (points, t) => {
+            const { left, right } = core.subdivideBezier(toArrays(points), t);
+            return { left: toVectors(left), right: toVectors(right) };
+        },
+        elevateBezierDegree: (points) => toVectors(core.elevateBezierDegree(toArrays(points))),
+        reduceBezierDegree: (points, samples) => {
+            const result = core.reduceBezierDegree(toArrays(points), samples);
+            return result && { points: toVectors(result.points), error: result.error };
+        },
+        bezierDerivativePoints: (points) => toVectors(core.bezierDerivativePoints(toArrays(points))),
+        bezierDerivative: (points, t, order) => toVector(core.bezierDerivative(toArrays(points), t, order)),
+        catmullRomTangent: (P0, P1, P2, alpha, tcb) => toVector3(core.catmullRomTangent(toArray(P0), toArray(P1), toArray(P2), alpha, tcb)),
+        catmullRomToBezier: (P0, P1, P2, P3, options) => toVectors(core.catmullRomToBezier(toArray(P0), toArray(P1), toArray(P2), toArray(P3), options)),
+        catmullRomSegments: (points, options) => core.catmullRomSegments(toArrays(points), options).map(toVectors),
+        convertSegmentBasis: (geometry, from, to) => toVectors(core.convertSegmentBasis(toArrays(geometry), from, to))
+    };
+}
@@ -1,3 +1,12 @@
+import { convertSegmentBasis } from './basis.js';
+import { createThreeAdapter } from './core/three.js';
+import { catmullRomSegmentCount, catmullRomSegmentIndices } from './core/catmullRom.js';
+
+// The formulas live in the math core; these are its Three.js versions
+const core = createThreeAdapter(THREE);
+
+export { catmullRomSegmentCount, catmullRomSegmentIndices };
+
 /**
  * Performs de Casteljau's algorithm for a given set of control points and parameter t.
  * @param {THREE.Vector3[]} controlPoints - Array of control points.
@@ -6,76 +15,691 @@
  */
 export function deCasteljau(controlPoints, t) {
     if (!controlPoints || controlPoints.length === 0) return null;
-    let points = controlPoints.map((point) => point.clone());
-    while (points.length > 1) {
-        const nextPoints = [];
-        for (let i = 0; i < points.length - 1; i++) {
-            const interpolatedPoint = points[i].clone().lerp(points[i + 1], t);
-            nextPoints.push(interpolatedPoint);
+    return core.deCasteljau(controlPoints, t);
+}
+
+/**
+ * Checks whether any weight differs from 1, i.e. whether a curve is truly rational.
+ * @param {number[]} [weights]
+ * @returns {boolean}
+ */
+export function hasNonUnitWeights(weights) {
+    return Array.isArray(weights) && weights.some(w => w !== undefined && w !== 1);
+}
+
+/**
+ * Lifts weighted points to homogeneous coordinates (w x, w y, w z, w).
+ * Polynomial algorithms applied to these points give the rational curve.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number[]} [weights] - Weight of each point (default 1).
+ * @returns {THREE.Vector4[]}
+ */
+export function toHomogeneous(controlPoints, weights) {
+    return core.toHomogeneous(controlPoints, weights);
+}
+
+/**
+ * Projects homogeneous points back to weighted points.
+ * @param {THREE.Vector4[]} homogeneousPoints
+ * @returns {{points: THREE.Vector3[], weights: number[]}}
+ */
+export function fromHomogeneous(homogeneousPoints) {
+    return core.fromHomogeneous(homogeneousPoints);
+}
+
+/**
+ * Evaluates a rational Bezier curve with de Casteljau's algorithm in homogeneous coordinates.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number[]} weights - Weight of each control point.
+ * @param {number} t - Interpolation parameter [0, 1].
+ * @returns {THREE.Vector3} The interpolated point.
+ */
+export function rationalDeCasteljau(controlPoints, weights, t) {
+    if (!controlPoints || controlPoints.length === 0) return null;
+    return core.rationalDeCasteljau(controlPoints, weights, t);
+}
+
+/**
+ * Runs de Casteljau's algorithm and keeps every interpolation level.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} t - Interpolation parameter [0, 1].
+ * @returns {THREE.Vector3[][]} levels[0] are the control points, the last level is the curve point.
+ */
+export function deCasteljauLevels(controlPoints, t) {
+    return core.deCasteljauLevels(controlPoints, t);
+}
+
+/**
+ * Runs rational de Casteljau and keeps every level, both in homogeneous
+ * coordinates and projected back to points.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number[]} weights - Weight of each control point.
+ * @param {number} t - Interpolation parameter [0, 1].
+ * @returns {{levels: THREE.Vector3[][], homogeneousLevels: THREE.Vector4[][]}}
+ */
+export function rationalDeCasteljauLevels(controlPoints, weights, t) {
+    const homogeneousLevels = deCasteljauLevels(toHomogeneous(controlPoints, weights), t);
+    return {
+        levels: homogeneousLevels.map(level => fromHomogeneous(level).points),
+        homogeneousLevels
+    };
+}
+
+/**
+ * Splits a Bezier curve at t with de Casteljau's algorithm.
+ * The first and last point of every interpolation level are the
+ * control points of the left and right half.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} [t=0.5] - Split parameter [0, 1].
+ * @returns {{left: THREE.Vector3[], right: THREE.Vector3[]}}
+ */
+export function subdivideBezier(controlPoints, t = 0.5) {
+    return core.subdivideBezier(controlPoints, t);
+}
+
+/**
+ * Splits a scalar (one-dimensional) Bezier function at t with de Casteljau's algorithm.
+ * Used for functions of a curve such as a signed distance or one coordinate of the derivative.
+ * @param {number[]} coefficients - Bezier coefficients.
+ * @param {number} t - Split parameter [0, 1].
+ * @returns {{left: number[], right: number[]}}
+ */
+export function subdivideScalarBezier(coefficients, t) {
+    const left = [];
+    const right = [];
+    let level = coefficients.slice();
+    while (level.length > 0) {
+        left.push(level[0]);
+        right.unshift(level[level.length - 1]);
+        const next = [];
+        for (let i = 0; i < level.length - 1; i++) next.push(level[i] + (level[i + 1] - level[i]) * t);
+        level = next;
+    }
+    return { left, right };
+}
+
+/**
+ * Raises the degree of a Bezier curve by one without changing its shape.
+ * Q_i = i/(n+1) P_{i-1} + (1 - i/(n+1)) P_i
+ * @param {THREE.Vector3[]} controlPoints - Array of n + 1 control points.
+ * @returns {THREE.Vector3[]} Array of n + 2 control points.
+ */
+export function elevateBezierDegree(controlPoints) {
+    return core.elevateBezierDegree(controlPoints);
+}
+
+/**
+ * Approximates a Bezier curve with one of degree one lower.
+ * Keeps both end points and fits the inner points so that elevating the result
+ * back is as close as possible to the original control points (least squares).
+ * Rational curves are fitted in homogeneous coordinates, like elevation, which also
+ * reduces the weights.
+ * @param {THREE.Vector3[]} controlPoints - Array of n + 1 control points (n >= 2).
+ * @param {number} [samples=64] - Samples used to measure the error.
+ * @param {number[]} [weights] - Weights of a rational curve.
+ * @returns {{points: THREE.Vector3[], weights: number[]|null, error: number}|null} Reduced control
+ * points and weights and the maximum distance between the two curves, or null if the curve
+ * cannot be reduced (including when a reduced weight would not be positive).
+ */
+export function reduceBezierDegree(controlPoints, samples = 64, weights = null) {
+    if (!hasNonUnitWeights(weights)) {
+        const result = core.reduceBezierDegree(controlPoints, samples);
+        return result && { ...result, weights: null };
+    }
+    const result = core.reduceBezierDegree(toHomogeneous(controlPoints, weights), samples);
+    if (!result) return null;
+    const reduced = fromHomogeneous(result.points);
+    if (reduced.weights.some(w => !(w > 0))) return null;
+    let error = 0;
+    for (let k = 0; k <= samples; k++) {
+        const t = k / samples;
+        error = Math.max(error, rationalDeCasteljau(controlPoints, weights, t)
+            .distanceTo(rationalDeCasteljau(reduced.points, reduced.weights, t)));
+    }
+    return { points: reduced.points, weights: reduced.weights, error };
+}
+
+/**
+ * Checks whether all control points lie within a tolerance of the chord.
+ * By the convex hull property the curve then does as well.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} tolerance - Maximum allowed distance.
+ * @returns {boolean}
+ */
+export function isBezierFlat(controlPoints, tolerance) {
+    const chord = new THREE.Line3(controlPoints[0], controlPoints[controlPoints.length - 1]);
+    const closest = new THREE.Vector3();
+    for (let i = 1; i < controlPoints.length - 1; i++) {
+        chord.closestPointToPoint(controlPoints[i], true, closest);
+        if (closest.distanceTo(controlPoints[i]) > tolerance) return false;
+    }
+    return true;
+}
+
+/**
+ * Tessellates a Bezier curve by recursive subdivision until every piece is flat.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} tolerance - Maximum distance between the curve and the polyline.
+ * @param {number} [maxDepth=12] - Subdivision depth limit.
+ * @param {number[]} [weights] - Weights of a rational curve.
+ * @returns {THREE.Vector3[]} Polyline including both end points.
+ */
+export function tessellateBezierAdaptive(controlPoints, tolerance, maxDepth = 12, weights = null) {
+    // Rational curves are split in homogeneous coordinates; the projected control
+    // points still bound the curve, so flatness is tested on them
+    const rational = hasNonUnitWeights(weights);
+    const project = (cps) => (rational ? fromHomogeneous(cps).points : cps);
+    const points = [controlPoints[0].clone()];
+    function subdivide(cps, depth) {
+        const projected = project(cps);
+        if (depth >= maxDepth || isBezierFlat(projected, tolerance)) {
+            points.push(projected[projected.length - 1].clone());
+            return;
         }
-        points = nextPoints;
+        const { left, right } = subdivideBezier(cps, 0.5);
+        subdivide(left, depth + 1);
+        subdivide(right, depth + 1);
     }
-    return points[0];
+    subdivide(rational ? toHomogeneous(controlPoints, weights) : controlPoints, 0);
+    return points;
 }
 
 /**
  * Generates a Bezier curve using de Casteljau's algorithm.
  * @param {THREE.Vector3[]} controlPoints - Array of control points.
  * @param {number} [steps=50] - Number of segments.
+ * @param {Object} [options] - { tessellation, tolerance, weights }; 'adaptive' subdivides to the tolerance
+ * instead of using steps, weights make the curve rational.
  * @returns {THREE.Vector3[]} Array of points on the curve.
  */
-export function createBezierCurve(controlPoints, steps = 50) {
+export function createBezierCurve(controlPoints, steps = 50, options = {}) {
     if (!controlPoints || controlPoints.length < 2) return [];
+    if (options.tessellation === 'adaptive' && options.tolerance > 0) {
+        return tessellateBezierAdaptive(controlPoints, options.tolerance, 12, options.weights);
+    }
+    const rational = hasNonUnitWeights(options.weights);
     const bezierPoints = [];
     for (let i = 0; i <= steps; i++) {
         const t = i / steps;
-        bezierPoints.push(deCasteljau(controlPoints, t));
+        bezierPoints.push(rational ? rationalDeCasteljau(controlPoints, options.weights, t) : deCasteljau(controlPoints, t));
     }
     return bezierPoints;
 }
 
+/**
+ * Creates the default per-point spline parameters.
+ * tension, continuity and bias are the Kochanek-Bartels (TCB) parameters in [-1, 1];
+ * all zero gives plain Catmull-Rom, tension alone gives a cardinal spline.
+ * weight is the rational Bezier weight of the point.
+ * tangent is the Hermite tangent set by the user, null until one is set.
+ * width scales the stroke outline at the point.
+ * @returns {{tension: number, continuity: number, bias: number, weight: number, tangent: THREE.Vector3|null, width: number}}
+ */
+export function createPointParams() {
+    return { tension: 0, continuity: 0, bias: 0, weight: 1, tangent: null, width: 1 };
+}
+
+/**
+ * Computes the Catmull-Rom tangent at P1, scaled to the parameter interval from P1 to P2.
+ * Knots are spaced by t_{i+1} - t_i = |P_{i+1} - P_i|^alpha
+ * (alpha = 0 uniform, 0.5 centripetal, 1 chordal).
+ * With TCB parameters this is the Kochanek-Bartels outgoing tangent at P1.
+ * @param {THREE.Vector3} P0 - Previous point.
+ * @param {THREE.Vector3} P1 - Point where the tangent is taken.
+ * @param {THREE.Vector3} P2 - Next point.
+ * @param {number} [alpha=0] - Knot parameterization exponent.
+ * @param {Object} [tcb] - { tension, continuity, bias } of P1.
+ * @returns {THREE.Vector3} The tangent vector.
+ */
+export function catmullRomTangent(P0, P1, P2, alpha = 0, tcb = null) {
+    return core.catmullRomTangent(P0, P1, P2, alpha, tcb);
+}
+
+/**
+ * Computes the control points of the derivative (hodograph) of a Bezier curve.
+ * For a curve of degree n these are n * (P_{i+1} - P_i).
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @returns {THREE.Vector3[]} Control points of the derivative curve.
+ */
+export function bezierDerivativePoints(controlPoints) {
+    return core.bezierDerivativePoints(controlPoints);
+}
+
+/**
+ * Evaluates a derivative of a Bezier curve.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} t - Curve parameter [0, 1].
+ * @param {number} [order=1] - Derivative order.
+ * @returns {THREE.Vector3} The derivative vector (zero when order exceeds the degree).
+ */
+export function bezierDerivative(controlPoints, t, order = 1) {
+    return core.bezierDerivative(controlPoints, t, order);
+}
+
+// Normal of the drawing plane, used to orient normals and sign curvature
+const PLANE_NORMAL = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Evaluates position, derivatives and the Frenet quantities of a Bezier curve.
+ * The normal is the tangent turned left in the drawing plane and the curvature is
+ * signed accordingly (positive when the curve bends towards the normal).
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} t - Curve parameter [0, 1].
+ * @returns {{point: THREE.Vector3, firstDerivative: THREE.Vector3, secondDerivative: THREE.Vector3,
+ *           tangent: THREE.Vector3, normal: THREE.Vector3, curvature: number}}
+ */
+export function bezierFrame(controlPoints, t) {
+    const point = deCasteljau(controlPoints, t);
+    const firstDerivative = bezierDerivative(controlPoints, t, 1);
+    const secondDerivative = bezierDerivative(controlPoints, t, 2);
+    const speed = firstDerivative.length();
+    // At a zero-velocity point the curve leaves along the second derivative
+    const tangent = (speed > 1e-12 ? firstDerivative : secondDerivative).clone().normalize();
+    const normal = PLANE_NORMAL.clone().cross(tangent).normalize();
+    const curvature = speed > 1e-12
+        ? firstDerivative.clone().cross(secondDerivative).dot(PLANE_NORMAL) / (speed * speed * speed)
+        : 0;
+    return { point, firstDerivative, secondDerivative, tangent, normal, curvature };
+}
+
+/**
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} t - Curve parameter [0, 1].
+ * @returns {THREE.Vector3} Unit tangent.
+ */
+export function bezierTangent(controlPoints, t) {
+    return bezierFrame(controlPoints, t).tangent;
+}
+
+/**
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} t - Curve parameter [0, 1].
+ * @returns {THREE.Vector3} Unit normal (tangent turned left in the drawing plane).
+ */
+export function bezierNormal(controlPoints, t) {
+    return bezierFrame(controlPoints, t).normal;
+}
+
+/**
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} t - Curve parameter [0, 1].
+ * @returns {number} Signed curvature.
+ */
+export function bezierCurvature(controlPoints, t) {
+    return bezierFrame(controlPoints, t).curvature;
+}
+
 /**
  * Converts Catmull-Rom segment to Bezier control points.
+ * For alpha = 0 and no TCB parameters this is the classic
+ * B_1 = P_1 + (P_2 - P_0) / 6, B_2 = P_2 - (P_3 - P_1) / 6.
  * @param {THREE.Vector3} P0 
  * @param {THREE.Vector3} P1 
  * @param {THREE.Vector3} P2 
  * @param {THREE.Vector3} P3 
+ * @param {Object} [options] - { alpha, tcb1, tcb2 } where tcb1/tcb2 are the TCB parameters of P1/P2.
  * @returns {THREE.Vector3[]} Array of 4 Bezier control points.
  */
-export function catmullRomInterpolate(P0, P1, P2, P3) {
-    return [
-        P1.clone(),
-        P1.clone().add(P2.clone().sub(P0).multiplyScalar(1 / 6)),
-        P2.clone().sub(P3.clone().sub(P1).multiplyScalar(1 / 6)),
-        P2.clone()
-    ];
+export function catmullRomInterpolate(P0, P1, P2, P3, options = {}) {
+    return core.catmullRomToBezier(P0, P1, P2, P3, options);
 }
 
 /**
- * Generates a Catmull-Rom spline as a series of points.
+ * Converts segment i of a Catmull-Rom spline to Bezier control points.
  * @param {THREE.Vector3[]} controlPoints - Array of control points.
- * @param {number} [steps=50] - Number of segments per segment.
- * @returns {THREE.Vector3[]} Array of points on the spline.
+ * @param {number} i - Segment index.
+ * @param {Object} [options] - { alpha, closed, pointParams }
+ * @returns {THREE.Vector3[]} Array of 4 Bezier control points.
  */
-export function createCatmullRomCurve(controlPoints, steps = 50) {
+export function catmullRomSegmentToBezier(controlPoints, i, options = {}) {
+    const [i0, i1, i2, i3] = catmullRomSegmentIndices(controlPoints.length, i, options.closed);
+    const pointParams = options.pointParams || [];
+    return catmullRomInterpolate(
+        controlPoints[i0],
+        controlPoints[i1],
+        controlPoints[i2],
+        controlPoints[i3],
+        { alpha: options.alpha, tcb1: pointParams[i1], tcb2: pointParams[i2] }
+    );
+}
+
+/**
+ * Converts every segment of a Catmull-Rom spline to Bezier control points.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {Object} [options] - { alpha, closed, pointParams }
+ * @returns {THREE.Vector3[][]} One array of 4 Bezier control points per segment.
+ */
+export function getCatmullRomSegments(controlPoints, options = {}) {
     if (!controlPoints || controlPoints.length < 2) return [];
+    const segments = [];
+    const segmentCount = catmullRomSegmentCount(controlPoints.length, options.closed);
+    for (let i = 0; i < segmentCount; i++) {
+        segments.push(catmullRomSegmentToBezier(controlPoints, i, options));
+    }
+    return segments;
+}
+
+/**
+ * Returns the number of segments of a uniform cubic B-spline.
+ * Open splines triple their end points so the curve starts and ends on them.
+ * @param {number} pointCount - Number of control points.
+ * @param {boolean} [closed=false] - Whether the spline is a closed loop.
+ * @returns {number}
+ */
+export function bsplineSegmentCount(pointCount, closed = false) {
+    if (pointCount < 2) return 0;
+    return closed && pointCount >= 3 ? pointCount : pointCount + 1;
+}
+
+/**
+ * Returns the indices of the four de Boor points shaping B-spline segment i.
+ * Open splines clamp two extra copies of each end point, closed splines wrap around.
+ * @param {number} pointCount - Number of control points.
+ * @param {number} i - Segment index.
+ * @param {boolean} [closed=false] - Whether the spline is a closed loop.
+ * @returns {number[]} Array of 4 indices into the control points.
+ */
+export function bsplineSegmentIndices(pointCount, i, closed = false) {
+    if (closed && pointCount >= 3) {
+        const wrap = (k) => ((k % pointCount) + pointCount) % pointCount;
+        return [wrap(i - 1), wrap(i), wrap(i + 1), wrap(i + 2)];
+    }
+    const clamp = (k) => Math.min(Math.max(k, 0), pointCount - 1);
+    return [clamp(i - 2), clamp(i - 1), clamp(i), clamp(i + 1)];
+}
+
+/**
+ * Converts every segment of a uniform cubic B-spline to Bezier control points.
+ * @param {THREE.Vector3[]} controlPoints - Array of de Boor points.
+ * @param {Object} [options] - { closed }
+ * @returns {THREE.Vector3[][]} One array of 4 Bezier control points per segment.
+ */
+export function getBSplineSegments(controlPoints, options = {}) {
+    if (!controlPoints || controlPoints.length < 2) return [];
+    const segments = [];
+    const segmentCount = bsplineSegmentCount(controlPoints.length, options.closed);
+    for (let i = 0; i < segmentCount; i++) {
+        const geometry = bsplineSegmentIndices(controlPoints.length, i, options.closed).map(k => controlPoints[k]);
+        segments.push(convertSegmentBasis(geometry, 'bspline', 'bezier'));
+    }
+    return segments;
+}
+
+/**
+ * Returns the tangent Catmull-Rom computes at every control point, scaled to the
+ * parameter interval of one segment as cubic Hermite tangents are.
+ * Where incoming and outgoing tangents differ (TCB), the outgoing one is used.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {Object} [options] - { alpha, closed, pointParams }
+ * @returns {THREE.Vector3[]} One tangent per control point.
+ */
+export function catmullRomTangents(controlPoints, options = {}) {
+    const segments = getCatmullRomSegments(controlPoints, options);
+    if (segments.length === 0) return controlPoints.map(() => new THREE.Vector3());
+    const hermite = segments.map(segment => convertSegmentBasis(segment, 'bezier', 'hermite'));
+    return controlPoints.map((_, i) => i < hermite.length ? hermite[i][2] : hermite[hermite.length - 1][3]);
+}
+
+/**
+ * Returns the Hermite tangent of every control point: the one stored in
+ * pointParams[i].tangent, or the Catmull-Rom tangent where none is set.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {Object} [options] - { alpha, closed, pointParams }
+ * @returns {THREE.Vector3[]} One tangent per control point.
+ */
+export function getHermiteTangents(controlPoints, options = {}) {
+    const pointParams = options.pointParams || [];
+    const needsFallback = controlPoints.some((_, i) => !(pointParams[i] && pointParams[i].tangent));
+    const fallback = needsFallback ? catmullRomTangents(controlPoints, options) : [];
+    return controlPoints.map((_, i) => {
+        const tangent = pointParams[i] && pointParams[i].tangent;
+        return tangent ? tangent.clone() : fallback[i];
+    });
+}
+
+/**
+ * Converts every segment of a cubic Hermite spline to Bezier control points.
+ * Segments join consecutive control points, like Catmull-Rom.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {Object} [options] - { closed, pointParams } plus the Catmull-Rom options for missing tangents.
+ * @returns {THREE.Vector3[][]} One array of 4 Bezier control points per segment.
+ */
+export function getHermiteSegments(controlPoints, options = {}) {
+    if (!controlPoints || controlPoints.length < 2) return [];
+    const tangents = getHermiteTangents(controlPoints, options);
+    const segments = [];
+    const segmentCount = catmullRomSegmentCount(controlPoints.length, options.closed);
+    for (let i = 0; i < segmentCount; i++) {
+        const next = (i + 1) % controlPoints.length;
+        const geometry = [controlPoints[i], controlPoints[next], tangents[i], tangents[next]];
+        segments.push(convertSegmentBasis(geometry, 'hermite', 'bezier'));
+    }
+    return segments;
+}
+
+/**
+ * Splits control points into joined cubic Bezier segments: points 3i .. 3i + 3
+ * form segment i, so neighbouring segments share their end point.
+ * A shorter last group is degree-elevated to a cubic. Closed curves go back to the first point.
+ * @param {THREE.Vector3[]} controlPoints - Array of 3k + 1 control points (other counts are allowed).
+ * @param {Object} [options] - { closed }
+ * @returns {THREE.Vector3[][]} One array of 4 Bezier control points per segment.
+ */
+export function getPiecewiseBezierSegments(controlPoints, options = {}) {
+    if (!controlPoints || controlPoints.length < 2) return [];
+    const points = options.closed && controlPoints.length >= 3 ? [...controlPoints, controlPoints[0]] : controlPoints;
+    const segments = [];
+    for (let i = 0; i < points.length - 1; i += 3) {
+        let segment = points.slice(i, i + 4).map(point => point.clone());
+        while (segment.length < 4) segment = elevateBezierDegree(segment);
+        segments.push(segment);
+    }
+    return segments;
+}
+
+/**
+ * Checks whether options select a Bezier curve with weights other than 1. getCurveSegments
+ * cannot represent such a curve, so analysis of its segments would measure another curve.
+ * @param {Object} [options] - { curveType, pointParams }
+ * @returns {boolean}
+ */
+export function isRationalCurve(options = {}) {
+    return options.curveType === 'bezier' && hasNonUnitWeights((options.pointParams || []).map(params => params.weight));
+}
+
+/**
+ * Converts the curve selected by options.curveType to Bezier segments.
+ * 'bezier' is a single segment through all control points; its weights are not part of
+ * the segments, which are only the drawn curve when isRationalCurve(options) is false.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {Object} [options] - { curveType, alpha, closed, pointParams } where curveType is
+ *   'catmullRom' (default), 'hermite', 'bspline', 'bezier' or 'piecewiseBezier'.
+ * @returns {THREE.Vector3[][]} Bezier control points of each segment.
+ */
+export function getCurveSegments(controlPoints, options = {}) {
+    if (!controlPoints || controlPoints.length < 2) return [];
+    if (options.curveType === 'bezier') return [controlPoints.map(point => point.clone())];
+    if (options.curveType === 'bspline') return getBSplineSegments(controlPoints, options);
+    if (options.curveType === 'hermite') return getHermiteSegments(controlPoints, options);
+    if (options.curveType === 'piecewiseBezier') return getPiecewiseBezierSegments(controlPoints, options);
+    return getCatmullRomSegments(controlPoints, options);
+}
+
+/**
+ * Returns where each control point sits along the curve in segment units (segment
+ * index + t): interpolated points where the curve passes them, the other points where
+ * they pull on the curve most (their Greville abscissae). Closed curves list the first
+ * point once more at the end of the last segment.
+ * @param {number} pointCount - Number of control points (at least 2).
+ * @param {Object} [options] - { curveType, closed }
+ * @returns {number[]} Increasing parameters from 0 to the segment count.
+ */
+export function controlPointParameters(pointCount, options = {}) {
+    const closed = options.closed && pointCount >= 3;
+    const indices = Array.from({ length: pointCount }, (_, k) => k);
+    if (options.curveType === 'bezier') return indices.map(k => k / (pointCount - 1));
+    if (options.curveType === 'piecewiseBezier') {
+        // Groups of three spans per segment, the last one shorter when the count does not fit
+        const last = closed ? pointCount : pointCount - 1;
+        const parameter = (k) => {
+            const group = Math.min(Math.floor(k / 3), Math.ceil(last / 3) - 1);
+            return group + (k - 3 * group) / Math.min(3, last - 3 * group);
+        };
+        return (closed ? [...indices, pointCount] : indices).map(parameter);
+    }
+    if (options.curveType === 'bspline' && !closed) {
+        // Open segment i is shaped by points i - 2 .. i + 1, so point k peaks where segment k + 1
+        // starts; the tripled end points are reached at the very ends
+        return indices.map(k => (k === 0 ? 0 : k === pointCount - 1 ? pointCount + 1 : k + 1));
+    }
+    // Interpolating splines, and closed B-splines, whose segment i starts at point i
+    return closed ? [...indices, pointCount] : indices;
+}
+
+/**
+ * Returns where a control point added on the curve at (segmentIndex, t) belongs
+ * in the control point array, so the new point lands between the points that shape that spot.
+ * @param {number} pointCount - Number of control points.
+ * @param {number} segmentIndex - Segment from getCurveSegments.
+ * @param {number} t - Parameter within the segment.
+ * @param {Object} [options] - { curveType, closed }
+ * @returns {number} Index to insert the new point at.
+ */
+export function curveInsertIndex(pointCount, segmentIndex, t, options = {}) {
+    const closed = options.closed && pointCount >= 3;
+    if (options.curveType === 'bezier') {
+        // One segment: the polygon edge the parameter falls on
+        const n = pointCount - 1;
+        return Math.min(Math.max(Math.ceil(t * n), 1), n);
+    }
+    if (options.curveType === 'piecewiseBezier') {
+        // Next to the inner polygon point the parameter is closest to
+        return 3 * segmentIndex + Math.min(Math.max(Math.ceil(t * 3), 1), 3);
+    }
+    if (options.curveType === 'bspline' && !closed) {
+        // Open segment i is mostly shaped by de Boor points i - 1 and i
+        return Math.min(Math.max(segmentIndex, 1), pointCount - 1);
+    }
+    // Interpolating splines: segment i runs from point i to point i + 1
+    return segmentIndex + 1;
+}
+
+/**
+ * Samples a chain of Bezier segments into one polyline.
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment, of any degree.
+ * @param {number} steps - Number of samples per segment.
+ * @param {Object} options - { tessellation, tolerance }
+ * @returns {THREE.Vector3[]}
+ */
+function sampleSegments(segments, steps, options) {
     const points = [];
-    const extended = [
-        controlPoints[0].clone(),
-        ...controlPoints,
-        controlPoints[controlPoints.length - 1].clone()
-    ];
-    for (let i = 0; i < controlPoints.length - 1; i++) {
-        const P0 = extended[i];
-        const P1 = extended[i + 1];
-        const P2 = extended[i + 2];
-        const P3 = extended[i + 3];
-        const bezierCPs = catmullRomInterpolate(P0, P1, P2, P3);
+    const adaptive = options.tessellation === 'adaptive' && options.tolerance > 0;
+    for (const bezierCPs of segments) {
+        if (adaptive) {
+            // Drop the end point, it is the start of the next segment
+            points.push(...tessellateBezierAdaptive(bezierCPs, options.tolerance).slice(0, -1));
+            continue;
+        }
         for (let j = 0; j < steps; j++) {
             const t = j / steps;
             points.push(deCasteljau(bezierCPs, t));
         }
     }
-    points.push(controlPoints[controlPoints.length - 1].clone());
+    // End of the last segment: the last point, or the first one again for a loop
+    const lastSegment = segments[segments.length - 1];
+    points.push(lastSegment[lastSegment.length - 1].clone());
     return points;
-}
\ No newline at end of file
+}
+
+/**
+ * Generates a Catmull-Rom spline as a series of points.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} [steps=50] - Number of segments per segment.
+ * @param {Object} [options] - { alpha, closed, pointParams, tessellation, tolerance } where pointParams holds
+ * the TCB parameters of each control point and tessellation 'adaptive' subdivides to the tolerance instead of using steps.
+ * @returns {THREE.Vector3[]} Array of points on the spline.
+ */
+export function createCatmullRomCurve(controlPoints, steps = 50, options = {}) {
+    if (!controlPoints || controlPoints.length < 2) return [];
+    return sampleSegments(getCatmullRomSegments(controlPoints, options), steps, options);
+}
+
+/**
+ * Generates a uniform cubic B-spline as a series of points.
+ * The curve approximates the control points instead of passing through them.
+ * @param {THREE.Vector3[]} controlPoints - Array of de Boor points.
+ * @param {number} [steps=50] - Number of samples per segment.
+ * @param {Object} [options] - { closed, tessellation, tolerance }
+ * @returns {THREE.Vector3[]} Array of points on the spline.
+ */
+export function createBSplineCurve(controlPoints, steps = 50, options = {}) {
+    if (!controlPoints || controlPoints.length < 2) return [];
+    return sampleSegments(getBSplineSegments(controlPoints, options), steps, options);
+}
+
+/**
+ * Generates a cubic Hermite spline as a series of points.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} [steps=50] - Number of samples per segment.
+ * @param {Object} [options] - { closed, pointParams, tessellation, tolerance } where pointParams holds the tangents.
+ * @returns {THREE.Vector3[]} Array of points on the spline.
+ */
+export function createHermiteCurve(controlPoints, steps = 50, options = {}) {
+    if (!controlPoints || controlPoints.length < 2) return [];
+    return sampleSegments(getHermiteSegments(controlPoints, options), steps, options);
+}
+
+/**
+ * Generates any of the curve types as a series of points. 'bezier' is a single segment
+ * of degree n and leaves out the weights; createBezierCurve draws the rational curve.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} [steps=50] - Number of samples per segment.
+ * @param {Object} [options] - getCurveSegments options plus { tessellation, tolerance }.
+ * @returns {THREE.Vector3[]} Array of points on the curve.
+ */
+export function createSplineCurve(controlPoints, steps = 50, options = {}) {
+    const segments = getCurveSegments(controlPoints, options);
+    if (segments.length === 0) return [];
+    return sampleSegments(segments, steps, options);
+}
+
+/**
+ * Maps a global spline parameter u in [0, segmentCount] to a segment and local t.
+ * @param {number} segmentCount
+ * @param {number} u
+ * @returns {{segmentIndex: number, t: number}}
+ */
+function locateSegment(segmentCount, u) {
+    const clamped = Math.min(Math.max(u, 0), segmentCount);
+    const segmentIndex = Math.min(Math.floor(clamped), segmentCount - 1);
+    return { segmentIndex, t: clamped - segmentIndex };
+}
+
+/**
+ * Evaluates a derivative of a Catmull-Rom spline.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} u - Spline parameter, segment i covers [i, i + 1].
+ * @param {number} [order=1] - Derivative order.
+ * @param {Object} [options] - { alpha, closed, pointParams }
+ * @returns {THREE.Vector3|null}
+ */
+export function catmullRomDerivative(controlPoints, u, order = 1, options = {}) {
+    const segmentCount = catmullRomSegmentCount(controlPoints.length, options.closed);
+    if (segmentCount === 0) return null;
+    const { segmentIndex, t } = locateSegment(segmentCount, u);
+    return bezierDerivative(catmullRomSegmentToBezier(controlPoints, segmentIndex, options), t, order);
+}
+
+/**
+ * Evaluates position, derivatives, tangent, normal and signed curvature of a Catmull-Rom spline.
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {number} u - Spline parameter, segment i covers [i, i + 1].
+ * @param {Object} [options] - { alpha, closed, pointParams }
+ * @returns {Object|null} See bezierFrame.
+ */
+export function catmullRomFrame(controlPoints, u, options = {}) {
+    const segmentCount = catmullRomSegmentCount(controlPoints.length, options.closed);
+    if (segmentCount === 0) return null;
+    const { segmentIndex, t } = locateSegment(segmentCount, u);
+    return bezierFrame(catmullRomSegmentToBezier(controlPoints, segmentIndex, options), t);
+}
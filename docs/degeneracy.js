@@ -0,0 +1,187 @@
+// degeneracy.js
+// Finds the places where a spline stops being a well-behaved curve: control points
+// on top of each other, parameters where the velocity vanishes, cusps where the
+// curve turns back on itself, and loops inside one segment. Each issue carries the
+// segment it belongs to and, where there is one, a fix the app can apply.
+import { deCasteljau, bezierDerivative, bezierDerivativePoints, subdivideBezier } from './curves.js';
+import { findSelfIntersections } from './intersections.js';
+
+// Speeds below this fraction of the control polygon length count as zero
+const SPEED_TOLERANCE = 1e-3;
+// Below this polygon length a segment is a single point
+const LENGTH_EPSILON = 1e-9;
+// Parameters this close to 0 or 1 are at the segment ends
+const END_EPSILON = 1e-3;
+// Loop hits closer than this in parameter are the two sides of a cusp
+const LOOP_MIN_SPAN = 1e-2;
+const SAMPLES_PER_DEGREE = 32;
+const REFINE_ITERATIONS = 40;
+const LOOP_PIECES = 4;
+
+function polygonLength(controlPoints) {
+    let length = 0;
+    for (let i = 1; i < controlPoints.length; i++) length += controlPoints[i].distanceTo(controlPoints[i - 1]);
+    return length;
+}
+
+/**
+ * Golden-section search for the smallest speed on [a, b].
+ * @returns {{t: number, speed: number}}
+ */
+function minimizeSpeed(controlPoints, a, b) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    const speed = (t) => bezierDerivative(controlPoints, t).length();
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    for (let k = 0; k < REFINE_ITERATIONS; k++) {
+        if (speed(c) < speed(d)) {
+            b = d;
+        } else {
+            a = c;
+        }
+        c = b - ratio * (b - a);
+        d = a + ratio * (b - a);
+    }
+    const t = (a + b) / 2;
+    return { t, speed: speed(t) };
+}
+
+/**
+ * Finds zero-velocity points, cusps and loops of one Bezier segment.
+ * A speed minimum in the interior where the direction of travel reverses is a cusp;
+ * loops are found by intersecting pieces of the segment in the drawing plane.
+ * @param {THREE.Vector3[]} controlPoints - Bezier control points.
+ * @param {Object} [options] - { speedTolerance } relative to the control polygon length.
+ * @returns {Array<{type: string, t: number, point: THREE.Vector3, t2?: number}>}
+ *   type is 'collapsed', 'zeroVelocity', 'cusp' or 'loop' (t2 is where the loop closes).
+ */
+export function analyzeSegment(controlPoints, options = {}) {
+    const length = polygonLength(controlPoints);
+    if (length < LENGTH_EPSILON) return [{ type: 'collapsed', t: 0, point: controlPoints[0].clone() }];
+    const speedTolerance = (options.speedTolerance || SPEED_TOLERANCE) * length;
+    const issues = [];
+
+    // Local minima of the sampled speed, refined between their neighbours
+    const degree = controlPoints.length - 1;
+    const samples = SAMPLES_PER_DEGREE * degree;
+    const hodograph = bezierDerivativePoints(controlPoints);
+    const speeds = [];
+    for (let k = 0; k <= samples; k++) speeds.push(deCasteljau(hodograph, k / samples).length());
+    for (let k = 0; k <= samples; k++) {
+        const isMinimum = (k === 0 || speeds[k] <= speeds[k - 1]) && (k === samples || speeds[k] < speeds[k + 1]);
+        if (!isMinimum) continue;
+        const { t, speed } = minimizeSpeed(controlPoints, Math.max(k - 1, 0) / samples, Math.min(k + 1, samples) / samples);
+        // Turning back within two samples is a cusp to the eye even if the speed stays above zero
+        let cusp = false;
+        if (t > END_EPSILON && t < 1 - END_EPSILON) {
+            const h = 1 / samples;
+            const before = bezierDerivative(controlPoints, Math.max(t - h, 0));
+            const after = bezierDerivative(controlPoints, Math.min(t + h, 1));
+            cusp = before.dot(after) < 0;
+        }
+        if (!cusp && speed > speedTolerance) continue;
+        issues.push({ type: cusp ? 'cusp' : 'zeroVelocity', t, point: deCasteljau(controlPoints, t) });
+    }
+
+    // A loop can close within one half, so the segment is cut into more pieces than two
+    const pieces = [];
+    let rest = controlPoints;
+    for (let k = 0; k < LOOP_PIECES - 1; k++) {
+        const { left, right } = subdivideBezier(rest, 1 / (LOOP_PIECES - k));
+        pieces.push(left);
+        rest = right;
+    }
+    pieces.push(rest);
+    findSelfIntersections(pieces).forEach(hit => {
+        const t = (hit.segmentA + hit.tA) / LOOP_PIECES;
+        const t2 = (hit.segmentB + hit.tB) / LOOP_PIECES;
+        if (t2 - t < LOOP_MIN_SPAN) return;
+        issues.push({ type: 'loop', t, t2, point: hit.point });
+    });
+    return issues.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Returns the segment of getCurveSegments that control points index and index + 1 shape most.
+ * @param {number} index - First point of the pair.
+ * @param {number} segmentCount
+ * @param {Object} options - { curveType, closed }
+ * @returns {number}
+ */
+function segmentOfPointPair(index, segmentCount, options) {
+    let segment = index;
+    if (options.curveType === 'bezier') segment = 0;
+    else if (options.curveType === 'piecewiseBezier') segment = Math.floor(index / 3);
+    // Open B-spline segment i is shaped by de Boor points i - 2 .. i + 1
+    else if (options.curveType === 'bspline' && !options.closed) segment = index + 1;
+    return Math.min(segment, segmentCount - 1);
+}
+
+/**
+ * Where to move a control point so it no longer sits on its neighbour: a quarter of
+ * the way to the next point that is apart from it, or away from the previous one at the end.
+ * @param {THREE.Vector3[]} controlPoints
+ * @param {number} index - The point to move.
+ * @param {number} tolerance - Points closer than this count as coincident.
+ * @returns {THREE.Vector3}
+ */
+export function nudgedPosition(controlPoints, index, tolerance) {
+    const point = controlPoints[index];
+    const isApart = (other) => other.distanceTo(point) > tolerance;
+    const next = controlPoints.slice(index + 1).find(isApart);
+    if (next) return point.clone().lerp(next, 0.25);
+    const previous = controlPoints.slice(0, index).reverse().find(isApart);
+    if (previous) return point.clone().lerp(previous, -0.25);
+    return point.clone().add(new THREE.Vector3(4 * tolerance, 0, 0));
+}
+
+/**
+ * Finds the degenerate places of a spline, grouped by the segment they affect.
+ * Coincident control points come with a 'nudge' fix; cusps, loops and stalls of a
+ * non-centripetal Catmull-Rom spline come with a switch to centripetal parameterization,
+ * which cannot form cusps or loops within a segment.
+ * @param {THREE.Vector3[]} controlPoints
+ * @param {THREE.Vector3[][]} segments - getCurveSegments of the same points and options.
+ * @param {Object} [options] - { curveType, alpha, closed, pointTolerance, speedTolerance }
+ *   where pointTolerance is the distance below which points coincide.
+ * @returns {Array<Object>} Issues of analyzeSegment and 'coincident' ones, each with
+ *   segmentIndex and fix: null, { kind: 'parameterization', alpha } or
+ *   { kind: 'nudge', pointIndex, position }. Coincident issues also have pointIndex.
+ */
+export function detectDegeneracies(controlPoints, segments, options = {}) {
+    if (segments.length === 0) return [];
+    const pointTolerance = options.pointTolerance || 1e-6;
+    const issues = [];
+
+    const n = controlPoints.length;
+    const pairCount = options.closed && n >= 3 ? n : n - 1;
+    for (let i = 0; i < pairCount; i++) {
+        const j = (i + 1) % n;
+        if (controlPoints[i].distanceTo(controlPoints[j]) > pointTolerance) continue;
+        issues.push({
+            type: 'coincident',
+            segmentIndex: segmentOfPointPair(i, segments.length, options),
+            pointIndex: j,
+            t: 0,
+            point: controlPoints[j].clone(),
+            fix: { kind: 'nudge', pointIndex: j, position: nudgedPosition(controlPoints, j, pointTolerance) }
+        });
+    }
+
+    const centripetalHelps = (options.curveType || 'catmullRom') === 'catmullRom' && options.alpha !== 0.5;
+    // Open B-splines triple their end points, so the curve always starts and ends at rest
+    const clampedEnds = options.curveType === 'bspline' && !options.closed;
+    segments.forEach((segment, segmentIndex) => {
+        // Where points coincide, moving them apart is the fix; the parameterization cannot help
+        const hasCoincident = issues.some(issue => issue.type === 'coincident' && issue.segmentIndex === segmentIndex);
+        analyzeSegment(segment, options).forEach(issue => {
+            if (clampedEnds && issue.type === 'zeroVelocity'
+                && ((segmentIndex === 0 && issue.t < END_EPSILON) || (segmentIndex === segments.length - 1 && issue.t > 1 - END_EPSILON))) return;
+            const fix = centripetalHelps && !hasCoincident && issue.type !== 'collapsed'
+                ? { kind: 'parameterization', alpha: 0.5 }
+                : null;
+            issues.push({ ...issue, segmentIndex, fix });
+        });
+    });
+    return issues;
+}
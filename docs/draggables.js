@@ -0,0 +1,31 @@
+// draggables.js
+// Registry of meshes other than the control points that the mouse can drag,
+// such as tangent handles. setupInteraction picks these together with the points.
+
+const draggables = new Set();
+
+/**
+ * Makes a mesh draggable. While dragged, onDrag receives the new position on the drag plane or axis.
+ * @param {THREE.Object3D} mesh - The mesh to pick.
+ * @param {Function} onDrag - (position: THREE.Vector3) => void
+ */
+export function registerDraggable(mesh, onDrag) {
+    mesh.userData.onDrag = onDrag;
+    draggables.add(mesh);
+}
+
+/**
+ * Stops a mesh from being draggable.
+ * @param {THREE.Object3D} mesh
+ */
+export function unregisterDraggable(mesh) {
+    draggables.delete(mesh);
+}
+
+/**
+ * Returns the registered draggable meshes that are currently shown.
+ * @returns {THREE.Object3D[]}
+ */
+export function getDraggables() {
+    return [...draggables].filter(mesh => mesh.visible && mesh.parent);
+}
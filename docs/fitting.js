@@ -0,0 +1,201 @@
+// fitting.js
+// Fits splines to freehand strokes: a minimal set of Catmull-Rom points chosen
+// from the stroke, or a piecewise cubic Bezier by Schneider's least-squares method
+// ("An Algorithm for Automatically Fitting Digitized Curves", Graphics Gems, 1990).
+import { getCatmullRomSegments, deCasteljau, bezierDerivative } from './curves.js';
+import { closestPointOnBezier } from './projection.js';
+
+const REPARAMETERIZE_ITERATIONS = 4;
+
+/**
+ * Drops stroke samples closer than minDistance to the previous kept sample.
+ * The last sample is always kept.
+ * @param {THREE.Vector3[]} points - Raw stroke samples.
+ * @param {number} minDistance
+ * @returns {THREE.Vector3[]}
+ */
+export function simplifyStroke(points, minDistance) {
+    if (points.length < 2) return points.map(p => p.clone());
+    const kept = [points[0].clone()];
+    for (let i = 1; i < points.length - 1; i++) {
+        if (points[i].distanceTo(kept[kept.length - 1]) >= minDistance) kept.push(points[i].clone());
+    }
+    const last = points[points.length - 1];
+    if (last.distanceTo(kept[kept.length - 1]) > 0) kept.push(last.clone());
+    return kept;
+}
+
+/**
+ * Chooses as few stroke samples as possible as Catmull-Rom control points so that
+ * every sample lies within tolerance of the spline through them.
+ * Starts from the two end samples and keeps adding the sample farthest from the curve.
+ * @param {THREE.Vector3[]} stroke - Stroke samples in drawing order.
+ * @param {number} tolerance - Maximum distance from a sample to the spline.
+ * @param {Object} [options] - { alpha, maxPoints }
+ * @returns {THREE.Vector3[]} The control points.
+ */
+export function fitCatmullRomPoints(stroke, tolerance, options = {}) {
+    if (stroke.length < 3) return stroke.map(p => p.clone());
+    const maxPoints = options.maxPoints || 64;
+    // Indices into the stroke of the chosen control points, kept sorted
+    const chosen = [0, stroke.length - 1];
+    while (chosen.length < maxPoints) {
+        const controlPoints = chosen.map(i => stroke[i]);
+        const segments = getCatmullRomSegments(controlPoints, { alpha: options.alpha || 0 });
+        let worst = { error: 0, index: -1 };
+        // The samples between two chosen ones belong to the segment joining them
+        for (let k = 0; k < chosen.length - 1; k++) {
+            for (let i = chosen[k] + 1; i < chosen[k + 1]; i++) {
+                const { distance } = closestPointOnBezier(segments[k], stroke[i]);
+                if (distance > worst.error) worst = { error: distance, index: i };
+            }
+        }
+        if (worst.error <= tolerance) break;
+        chosen.push(worst.index);
+        chosen.sort((a, b) => a - b);
+    }
+    return chosen.map(i => stroke[i].clone());
+}
+
+/**
+ * Fits a piecewise cubic Bezier to the stroke with Schneider's algorithm.
+ * @param {THREE.Vector3[]} stroke - Stroke samples in drawing order.
+ * @param {number} tolerance - Maximum distance from a sample to the curve.
+ * @returns {THREE.Vector3[][]} Control points of each cubic segment, joined end to start.
+ */
+export function fitBezierCurves(stroke, tolerance) {
+    if (stroke.length < 2) return [];
+    const segments = [];
+    const tHat1 = stroke[1].clone().sub(stroke[0]).normalize();
+    const tHat2 = stroke[stroke.length - 2].clone().sub(stroke[stroke.length - 1]).normalize();
+    fitCubic(stroke, 0, stroke.length - 1, tHat1, tHat2, tolerance, segments);
+    return segments;
+}
+
+/**
+ * Fits one cubic to stroke[first..last] with the given end tangent directions,
+ * splitting at the worst sample and recursing when it is not close enough.
+ */
+function fitCubic(stroke, first, last, tHat1, tHat2, tolerance, segments) {
+    if (last - first === 1) {
+        // Two samples: a straight cubic along the tangents
+        const dist = stroke[last].distanceTo(stroke[first]) / 3;
+        segments.push([
+            stroke[first].clone(),
+            stroke[first].clone().addScaledVector(tHat1, dist),
+            stroke[last].clone().addScaledVector(tHat2, dist),
+            stroke[last].clone()
+        ]);
+        return;
+    }
+    let u = chordLengthParameterize(stroke, first, last);
+    let bezier = generateBezier(stroke, first, last, u, tHat1, tHat2);
+    let { maxError, splitIndex } = computeMaxError(stroke, first, last, bezier, u);
+    if (maxError <= tolerance) {
+        segments.push(bezier);
+        return;
+    }
+    // Close enough to be worth improving the parameters before splitting
+    if (maxError <= tolerance * 4) {
+        for (let k = 0; k < REPARAMETERIZE_ITERATIONS; k++) {
+            u = reparameterize(stroke, first, last, u, bezier);
+            bezier = generateBezier(stroke, first, last, u, tHat1, tHat2);
+            ({ maxError, splitIndex } = computeMaxError(stroke, first, last, bezier, u));
+            if (maxError <= tolerance) {
+                segments.push(bezier);
+                return;
+            }
+        }
+    }
+    const tHatCenter = stroke[splitIndex - 1].clone().sub(stroke[splitIndex + 1]).normalize();
+    fitCubic(stroke, first, splitIndex, tHat1, tHatCenter, tolerance, segments);
+    fitCubic(stroke, splitIndex, last, tHatCenter.clone().negate(), tHat2, tolerance, segments);
+}
+
+function chordLengthParameterize(stroke, first, last) {
+    const u = [0];
+    for (let i = first + 1; i <= last; i++) {
+        u.push(u[u.length - 1] + stroke[i].distanceTo(stroke[i - 1]));
+    }
+    const total = u[u.length - 1];
+    return u.map(value => (total > 0 ? value / total : 0));
+}
+
+/**
+ * Least-squares cubic with fixed end points and tangent directions:
+ * only the distances alpha1, alpha2 of the inner points along the tangents are solved for.
+ */
+function generateBezier(stroke, first, last, u, tHat1, tHat2) {
+    const p0 = stroke[first];
+    const p3 = stroke[last];
+    const c = [[0, 0], [0, 0]];
+    const x = [0, 0];
+    for (let i = 0; i < u.length; i++) {
+        const t = u[i];
+        const b0 = (1 - t) ** 3, b1 = 3 * t * (1 - t) ** 2, b2 = 3 * t * t * (1 - t), b3 = t ** 3;
+        const a1 = tHat1.clone().multiplyScalar(b1);
+        const a2 = tHat2.clone().multiplyScalar(b2);
+        c[0][0] += a1.dot(a1);
+        c[0][1] += a1.dot(a2);
+        c[1][1] += a2.dot(a2);
+        const tmp = stroke[first + i].clone()
+            .sub(p0.clone().multiplyScalar(b0 + b1))
+            .sub(p3.clone().multiplyScalar(b2 + b3));
+        x[0] += a1.dot(tmp);
+        x[1] += a2.dot(tmp);
+    }
+    c[1][0] = c[0][1];
+    const det = c[0][0] * c[1][1] - c[1][0] * c[0][1];
+    let alpha1 = det === 0 ? 0 : (x[0] * c[1][1] - x[1] * c[0][1]) / det;
+    let alpha2 = det === 0 ? 0 : (c[0][0] * x[1] - c[1][0] * x[0]) / det;
+    const segmentLength = p3.distanceTo(p0);
+    // Degenerate or backwards solutions fall back to a third of the chord
+    const epsilon = 1e-6 * segmentLength;
+    if (alpha1 < epsilon || alpha2 < epsilon) {
+        alpha1 = alpha2 = segmentLength / 3;
+    }
+    return [
+        p0.clone(),
+        p0.clone().addScaledVector(tHat1, alpha1),
+        p3.clone().addScaledVector(tHat2, alpha2),
+        p3.clone()
+    ];
+}
+
+function computeMaxError(stroke, first, last, bezier, u) {
+    let maxError = 0;
+    let splitIndex = Math.floor((first + last) / 2);
+    for (let i = first + 1; i < last; i++) {
+        const error = deCasteljau(bezier, u[i - first]).distanceTo(stroke[i]);
+        if (error >= maxError) {
+            maxError = error;
+            splitIndex = i;
+        }
+    }
+    return { maxError, splitIndex };
+}
+
+/** One Newton step per sample towards the parameter of its closest curve point. */
+function reparameterize(stroke, first, last, u, bezier) {
+    return u.map((t, i) => {
+        const diff = deCasteljau(bezier, t).sub(stroke[first + i]);
+        const d1 = bezierDerivative(bezier, t, 1);
+        const d2 = bezierDerivative(bezier, t, 2);
+        const denominator = d1.dot(d1) + diff.dot(d2);
+        if (Math.abs(denominator) < 1e-12) return t;
+        return Math.min(Math.max(t - diff.dot(d1) / denominator, 0), 1);
+    });
+}
+
+/**
+ * Flattens joined cubic segments into one list of 3k + 1 control points,
+ * the layout of the 'piecewiseBezier' curve type.
+ * @param {THREE.Vector3[][]} segments
+ * @returns {THREE.Vector3[]}
+ */
+export function bezierSegmentsToPoints(segments) {
+    if (segments.length === 0) return [];
+    const points = [segments[0][0].clone()];
+    segments.forEach(segment => points.push(segment[1].clone(), segment[2].clone(), segment[3].clone()));
+    return points;
+}
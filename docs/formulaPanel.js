@@ -0,0 +1,162 @@
+// formulaPanel.js
+// Panel listing the actual polynomials of the live curve: x(t), y(t) (and z(t) when the
+// curve leaves the plane) of every segment, in power basis and in Bernstein form,
+// with the numbers computed from the current control points.
+import { bezierPowerCoefficients, toHomogeneous } from './core/bezier.js';
+import { toArray } from './core/three.js';
+
+const MAX_FORMULA_SEGMENTS = 6;
+const AXES = ['x', 'y', 'z'];
+// Coefficients that round to zero at the shown precision are left out of the power form
+const DECIMALS = 3;
+
+let panel = null;
+// MathJax typesets asynchronously; while it runs, only the latest content is kept
+let typesetting = null;
+let pendingHtml = null;
+
+function getPanel() {
+    if (panel) return panel;
+    panel = document.createElement('div');
+    panel.id = 'formula-panel';
+    panel.style.position = 'fixed';
+    panel.style.top = '10px';
+    panel.style.right = '10px';
+    panel.style.maxWidth = '40vw';
+    panel.style.maxHeight = '45vh';
+    panel.style.overflow = 'auto';
+    panel.style.background = 'rgba(30,30,30,0.95)';
+    panel.style.color = '#fff';
+    panel.style.padding = '8px 14px';
+    panel.style.borderRadius = '10px';
+    panel.style.border = '1px solid #888';
+    panel.style.fontSize = '0.85em';
+    panel.style.zIndex = '10';
+    // Scrolling the panel must not pick points on the canvas beneath
+    panel.addEventListener('mousedown', e => e.stopPropagation());
+    document.body.appendChild(panel);
+    return panel;
+}
+
+function typeset() {
+    const html = pendingHtml;
+    pendingHtml = null;
+    if (window.MathJax && window.MathJax.typesetClear) MathJax.typesetClear([panel]);
+    panel.innerHTML = html;
+    if (!(window.MathJax && window.MathJax.typesetPromise)) return;
+    typesetting = MathJax.typesetPromise([panel])
+        .catch(() => {})
+        .then(() => {
+            typesetting = null;
+            if (pendingHtml !== null) typeset();
+        });
+}
+
+function formatNumber(value) {
+    const rounded = Number(value.toFixed(DECIMALS));
+    return String(rounded === 0 ? 0 : rounded);
+}
+
+function binomial(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+    return result;
+}
+
+// t^k and (1-t)^k with the exponents 0 and 1 left out
+function power(base, k) {
+    if (k === 0) return '';
+    return k === 1 ? base : `${base}^{${k}}`;
+}
+
+/**
+ * Power basis polynomial with the highest degree first, e.g. -2t^{3} + 3t^{2} + 3t.
+ * @param {number[]} coefficients - a_0 .. a_n of one coordinate.
+ * @returns {string}
+ */
+function powerLatex(coefficients) {
+    const terms = [];
+    for (let k = coefficients.length - 1; k >= 0; k--) {
+        const rounded = Number(coefficients[k].toFixed(DECIMALS));
+        if (rounded === 0) continue;
+        const magnitude = Math.abs(rounded);
+        const factor = magnitude === 1 && k > 0 ? '' : String(magnitude);
+        const sign = rounded < 0 ? '-' : '+';
+        terms.push({ sign, text: factor + power('t', k) });
+    }
+    if (terms.length === 0) return '0';
+    return terms.map(({ sign, text }, i) => (i === 0 ? (sign === '-' ? '-' : '') : ` ${sign} `) + text).join('');
+}
+
+/**
+ * Bernstein form with every coordinate shown, e.g. 0(1-t)^{3} + 3 \cdot 1\,t(1-t)^{2} + ...
+ * @param {number[]} values - The coordinate of each control point.
+ * @returns {string}
+ */
+function bernsteinLatex(values) {
+    const n = values.length - 1;
+    return values.map((value, i) => {
+        const c = binomial(n, i);
+        const number = formatNumber(value);
+        const coordinate = number.startsWith('-') ? `(${number})` : number;
+        const basis = power('t', i) + power('(1-t)', n - i);
+        return `${c === 1 ? '' : `${c} \\cdot `}${coordinate}${basis ? `\\,${basis}` : ''}`;
+    }).join(' + ');
+}
+
+/**
+ * LaTeX lines of one segment: each coordinate in power basis and in Bernstein form.
+ * With weights the coordinates are quotients of the weighted sums.
+ * @param {number[][]} points - Control points as arrays.
+ * @param {number} axisCount - 2 or 3.
+ * @param {number[]} [weights]
+ * @returns {string}
+ */
+function segmentLatex(points, axisCount, weights) {
+    const rows = [];
+    if (weights) {
+        const homogeneous = toHomogeneous(points, weights);
+        const coefficients = bezierPowerCoefficients(homogeneous);
+        const w = homogeneous.map(h => h[h.length - 1]);
+        const denominatorPower = powerLatex(coefficients.map(a => a[a.length - 1]));
+        const denominatorBernstein = bernsteinLatex(w);
+        for (let d = 0; d < axisCount; d++) {
+            rows.push(`${AXES[d]}(t) &= \\frac{${powerLatex(coefficients.map(a => a[d]))}}{${denominatorPower}}`);
+            rows.push(`&= \\frac{${bernsteinLatex(homogeneous.map(h => h[d]))}}{${denominatorBernstein}}`);
+        }
+    } else {
+        const coefficients = bezierPowerCoefficients(points);
+        for (let d = 0; d < axisCount; d++) {
+            rows.push(`${AXES[d]}(t) &= ${powerLatex(coefficients.map(a => a[d]))}`);
+            rows.push(`&= ${bernsteinLatex(points.map(p => p[d]))}`);
+        }
+    }
+    return `\\begin{aligned} ${rows.join(' \\\\ ')} \\end{aligned}`;
+}
+
+/**
+ * Shows (or hides) the polynomials of every segment, retypeset whenever it is called.
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {Object} [opts] - Optional: { visible, weights } where weights makes a single
+ *   rational segment show as quotients.
+ */
+export function updateFormulaPanel(segments, opts = {}) {
+    if (!opts.visible || !segments || segments.length === 0) {
+        if (panel) panel.style.display = 'none';
+        return;
+    }
+    const box = getPanel();
+    box.style.display = '';
+    const arrays = segments.map(segment => segment.map(toArray));
+    // z only matters once a point has left the drawing plane
+    const axisCount = arrays.some(points => points.some(p => Math.abs(p[2]) > 1e-9)) ? 3 : 2;
+    const parts = arrays.slice(0, MAX_FORMULA_SEGMENTS).map((points, j) => {
+        const header = `<div style="color:#aaa; margin-top:${j === 0 ? 0 : 6}px;">Segment ${j + 1}, t ∈ [0, 1]</div>`;
+        return `${header}\\[${segmentLatex(points, axisCount, opts.weights)}\\]`;
+    });
+    if (segments.length > MAX_FORMULA_SEGMENTS) {
+        parts.push(`<div style="color:#aaa;">${segments.length - MAX_FORMULA_SEGMENTS} more segments</div>`);
+    }
+    pendingHtml = parts.join('');
+    if (!typesetting) typeset();
+}
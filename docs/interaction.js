@@ -1,9 +1,34 @@
 import { animateCatmullRomControlPoint } from './catmullRomAnimation.js'; // Make sure this is exported
-import { createBezierCurve } from './curves.js';
+import {
+    createBezierCurve,
+    catmullRomInterpolate,
+    createPointParams,
+    catmullRomSegmentCount,
+    catmullRomSegmentIndices,
+    getCurveSegments,
+    isRationalCurve,
+    curveInsertIndex
+} from './curves.js';
 import { animateDeCasteljau } from './visualization.js';
+import { curveOptions, sketchOptions, viewOptions } from './app.js';
+import { getDraggables } from './draggables.js';
+import { closestPointOnCurve } from './projection.js';
+import { worldUnitsPerPixel } from './viewport.js';
+import { simplifyStroke, fitCatmullRomPoints, fitBezierCurves, bezierSegmentsToPoints } from './fitting.js';
+import { dragTarget } from './view3d.js';
 
 
 const bezierPointsMeshes = [];
+// Indices of the points added by clicking, most recent last, for Ctrl+Z
+const addedPointIndices = [];
+
+/**
+ * Forgets the points added by clicking. Call it when the whole point set is replaced,
+ * so Ctrl+Z does not remove a point by an index into the old set.
+ */
+export function clearAddedPoints() {
+    addedPointIndices.length = 0;
+}
 
 // Import the main curve line reference from visualization.js
 import { curveSegmentLine, setCurveLine } from './visualization.js';
@@ -20,9 +45,64 @@ function clearBezierPointsMeshes(scene) {
     setCurveLine(null, scene);
 }
 
+/**
+ * Creates a section header for the context menu.
+ * @param {string} text - Header text.
+ * @returns {HTMLDivElement}
+ */
+function createMenuHeader(text) {
+    const header = document.createElement('div');
+    header.textContent = text;
+    header.style.marginTop = '8px';
+    header.style.paddingTop = '6px';
+    header.style.borderTop = '1px solid #555';
+    header.style.color = '#aaa';
+    return header;
+}
+
+/**
+ * Creates a labelled range slider row for the context menu.
+ * @param {string} label - Text shown left of the slider.
+ * @param {number} value - Initial value.
+ * @param {Function} onInput - Called with the new numeric value while dragging.
+ * @param {Object} [opts] - Optional: { min, max, step }
+ * @returns {HTMLDivElement}
+ */
+function createMenuSlider(label, value, onInput, opts = {}) {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '8px';
+    row.style.marginTop = '6px';
+    const name = document.createElement('span');
+    name.textContent = label;
+    name.style.width = '6.5em';
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = String(opts.min !== undefined ? opts.min : -1);
+    slider.max = String(opts.max !== undefined ? opts.max : 1);
+    slider.step = String(opts.step || 0.05);
+    slider.value = String(value);
+    slider.style.accentColor = '#00ffff';
+    const valueLabel = document.createElement('span');
+    valueLabel.textContent = Number(value).toFixed(2);
+    valueLabel.style.minWidth = '3em';
+    valueLabel.style.textAlign = 'right';
+    slider.addEventListener('input', () => {
+        const v = parseFloat(slider.value);
+        valueLabel.textContent = v.toFixed(2);
+        onInput(v);
+    });
+    row.appendChild(name);
+    row.appendChild(slider);
+    row.appendChild(valueLabel);
+    return row;
+}
+
 /**
  * Sets up mouse interaction for dragging control points and hover indication.
- * @param {THREE.Camera} camera - The camera used for raycasting.
+ * @param {THREE.Camera|Function} camera - The camera used for raycasting, or a function returning
+ *   the active camera when it can change (2D and 3D mode).
  * @param {THREE.Object3D[]} controlPointMeshes - Array of mesh objects representing control points.
  * @param {Function} updateCurve - Callback to update the curve when a point moves.
  * @param {Function} createHoverIndicator - Callback to show hover indicator.
@@ -31,6 +111,8 @@ function clearBezierPointsMeshes(scene) {
  * @param {THREE.Scene} scene - The scene object.
  * @param {THREE.WebGLRenderer} renderer - The renderer object.
  * @param {HTMLCanvasElement} canvas - The canvas element.
+ * @param {Array} yellowPointMeshes - Yellow Bezier point meshes, kept parallel to controlPoints.
+ * @param {Array} pointParams - Per-point TCB parameters, kept parallel to controlPoints.
  * @returns {Function} Cleanup function to remove event listeners.
  */
 export function setupInteraction(
@@ -43,11 +125,15 @@ export function setupInteraction(
     scene = null,
     renderer = null,
     canvas = null,
-    yellowPointMeshes = null
+    yellowPointMeshes = null,
+    pointParams = null
 ) {
+    const getCamera = typeof camera === 'function' ? camera : () => camera;
     const raycaster = new THREE.Raycaster();
     const mouse = new THREE.Vector2();
     let selectedPoint = null;
+    // Where the dragged point was when the drag started, the anchor of the drag plane or axis
+    const dragStart = new THREE.Vector3();
     let isHoveringPoint = false;
     let contextMenuDiv = null;
     let contextMenuTargetIndex = null;
@@ -56,6 +142,113 @@ export function setupInteraction(
         return window.__globalAnimationLock && window.__globalAnimationLock._locked;
     }
 
+    // Clicks this close to the curve insert a point into it instead of appending one
+    const INSERT_DISTANCE_PX = 8;
+
+    /**
+     * Finds where a click at worldPos would insert a point into the curve.
+     * @param {THREE.Vector3} worldPos - Position on the drawing plane.
+     * @returns {{index: number, point: THREE.Vector3, segmentIndex: number, t: number, distance: number}|null}
+     *   null when the position is not near the curve.
+     */
+    function findCurveInsertion(worldPos) {
+        if (!controlPoints || controlPoints.length < 2) return null;
+        // The segments are not the drawn curve once weights bend it
+        if (isRationalCurve(curveOptions)) return null;
+        const hit = closestPointOnCurve(getCurveSegments(controlPoints, curveOptions), worldPos);
+        const viewportHeight = (canvas && canvas.clientHeight) || window.innerHeight;
+        if (!hit || hit.distance > INSERT_DISTANCE_PX * worldUnitsPerPixel(getCamera(), viewportHeight)) return null;
+        return { ...hit, index: curveInsertIndex(controlPoints.length, hit.segmentIndex, hit.t, curveOptions) };
+    }
+
+    /**
+     * Adds a draggable control point at index, keeping every parallel array in step.
+     * @param {number} index - Position in controlPoints.
+     * @param {THREE.Vector3} pos - The new point.
+     */
+    function insertControlPoint(index, pos) {
+        controlPoints.splice(index, 0, pos);
+        const geometry = new THREE.SphereGeometry(0.1, 16, 16);
+        const material = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(pos);
+        mesh.renderOrder = 1;
+        scene.add(mesh);
+        controlPointMeshes.splice(index, 0, mesh);
+        yellowPointMeshes.splice(index, 0, undefined);
+        if (pointParams) pointParams.splice(index, 0, createPointParams());
+    }
+
+    /**
+     * Removes the control point at index with its meshes and parameters.
+     * @param {number} index - Position in controlPoints.
+     */
+    function removeControlPoint(index) {
+        const [mesh] = controlPointMeshes.splice(index, 1);
+        if (mesh && scene) scene.remove(mesh);
+        const [yellowMesh] = yellowPointMeshes.splice(index, 1);
+        if (yellowMesh && scene) scene.remove(yellowMesh);
+        controlPoints.splice(index, 1);
+        if (pointParams) pointParams.splice(index, 1);
+    }
+
+    // --- Freehand sketching: the stroke is fitted and its points added like clicked ones ---
+    let strokePoints = null;
+    let strokeLine = null;
+
+    function drawStroke() {
+        if (strokeLine) {
+            scene.remove(strokeLine);
+            strokeLine.geometry.dispose();
+            strokeLine.material.dispose();
+            strokeLine = null;
+        }
+        if (!strokePoints || strokePoints.length < 2) return;
+        strokeLine = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(strokePoints),
+            new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.7 })
+        );
+        scene.add(strokeLine);
+    }
+
+    function discardStroke() {
+        strokePoints = null;
+        drawStroke();
+    }
+
+    function finishStroke() {
+        const stroke = strokePoints;
+        strokePoints = null;
+        drawStroke();
+        if (!stroke || stroke.length < 2) return;
+        const pixel = worldUnitsPerPixel(getCamera(), (canvas && canvas.clientHeight) || window.innerHeight);
+        const samples = simplifyStroke(stroke, 2 * pixel);
+        const tolerance = sketchOptions.pixelTolerance * pixel;
+        let fitted;
+        if (sketchOptions.fit === 'piecewiseBezier') {
+            fitted = bezierSegmentsToPoints(fitBezierCurves(samples, tolerance));
+        } else {
+            fitted = fitCatmullRomPoints(samples, tolerance, { alpha: curveOptions.alpha });
+        }
+        if (fitted.length < 2) return;
+
+        clearBezierPointsMeshes(scene);
+        if (sketchOptions.mode === 'replace') {
+            while (controlPoints.length > 0) removeControlPoint(controlPoints.length - 1);
+            clearAddedPoints();
+        } else if (sketchOptions.fit === 'piecewiseBezier' && controlPoints.length > 0) {
+            // Bridge to the stroke with a straight segment, so the stroke starts on a segment boundary
+            const from = controlPoints[controlPoints.length - 1].clone();
+            const bridgeCount = (3 - (controlPoints.length % 3)) % 3;
+            for (let k = 1; k <= bridgeCount; k++) {
+                insertControlPoint(controlPoints.length, from.clone().lerp(fitted[0], k / (bridgeCount + 1)));
+            }
+        }
+        fitted.forEach(point => insertControlPoint(controlPoints.length, point));
+        if (sketchOptions.onFitted) sketchOptions.onFitted(sketchOptions.fit);
+        updateCurve();
+    }
+
     let dragStarted = false;
     let dragMoved = false;
     function onMouseDown(event) {
@@ -69,12 +262,17 @@ export function setupInteraction(
         if (event.button === 2) return;
         mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-        raycaster.setFromCamera(mouse, camera);
-        const intersects = raycaster.intersectObjects(controlPointMeshes);
+        raycaster.setFromCamera(mouse, getCamera());
+        const intersects = raycaster.intersectObjects([...controlPointMeshes, ...getDraggables()]);
         if (intersects.length > 0) {
             selectedPoint = intersects[0].object;
+            dragStart.copy(selectedPoint.position);
             dragStarted = true;
             dragMoved = false;
+        } else if (sketchOptions.enabled && event.target === canvas) {
+            const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+            const start = new THREE.Vector3();
+            if (raycaster.ray.intersectPlane(plane, start)) strokePoints = [start];
         }
     }
 
@@ -87,30 +285,79 @@ export function setupInteraction(
         if (isInteractionLocked()) return;
         mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-        raycaster.setFromCamera(mouse, camera);
-        const intersects = raycaster.intersectObjects(controlPointMeshes);
+        raycaster.setFromCamera(mouse, getCamera());
+        const intersects = raycaster.intersectObjects([...controlPointMeshes, ...getDraggables()]);
+
+        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+        const planeIntersect = new THREE.Vector3();
+        const onPlane = raycaster.ray.intersectPlane(plane, planeIntersect) !== null;
+
+        if (strokePoints) {
+            if (onPlane) {
+                strokePoints.push(planeIntersect);
+                drawStroke();
+            }
+            return;
+        }
 
         if (intersects.length > 0) {
             const hoveredPoint = intersects[0].object;
             createHoverIndicator(hoveredPoint.position);
             isHoveringPoint = true;
         } else {
-            removeHoverIndicator();
+            // Preview where a click would insert a point into the curve
+            // Only in 2D, where the pointer ray meets the curve's plane at a meaningful spot
+            const insertion = !selectedPoint && !sketchOptions.enabled && !viewOptions.is3D && onPlane ? findCurveInsertion(planeIntersect) : null;
+            if (insertion) createHoverIndicator(insertion.point);
+            else removeHoverIndicator();
             isHoveringPoint = false;
         }
 
         if (selectedPoint) {
             dragMoved = true;
-            const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-            const planeIntersect = new THREE.Vector3();
-            if (raycaster.ray.intersectPlane(plane, planeIntersect)) {
-                selectedPoint.position.copy(planeIntersect);
-                updateCurve();
-            }
+            moveSelectedPoint();
+        }
+    }
+
+    /**
+     * Moves the dragged point to where the current pointer ray puts it: on the view plane
+     * through its start position (the drawing plane in 2D), or along the locked axis in 3D.
+     */
+    function moveSelectedPoint() {
+        const target = dragTarget(raycaster.ray, getCamera(), dragStart, viewOptions.is3D ? viewOptions.dragAxis : 'view');
+        if (!target) return;
+        // Handles and other registered draggables move themselves
+        if (selectedPoint.userData.onDrag) {
+            selectedPoint.userData.onDrag(target);
+        } else {
+            selectedPoint.position.copy(target);
+            updateCurve();
         }
     }
 
+    // Pointer down comes before the mouse and touch events and before the orbit controls see it:
+    // remember where it was, and keep the controls from orbiting while a point is dragged
+    const CLICK_MOVE_PX = 4;
+    let pointerDownAt = null;
+    function onPointerDownCapture(event) {
+        pointerDownAt = { x: event.clientX, y: event.clientY };
+        if (isInteractionLocked() || (window.__globalAnimationState && window.__globalAnimationState.paused)) return;
+        mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        raycaster.setFromCamera(mouse, getCamera());
+        const hit = raycaster.intersectObjects([...controlPointMeshes, ...getDraggables()]).length > 0;
+        if (hit || sketchOptions.enabled) viewOptions.onDragChange(true);
+    }
+
     function onMouseUp(event) {
+        viewOptions.onDragChange(false);
+        // The button is up either way, so the stroke ends here; an animation started meanwhile discards it
+        if (strokePoints) {
+            const paused = window.__globalAnimationState && window.__globalAnimationState.paused;
+            if (paused || isInteractionLocked()) discardStroke();
+            else finishStroke();
+            return;
+        }
         // Only allow interaction with pause button during pause
         if (window.__globalAnimationState && window.__globalAnimationState.paused) {
             if (!(event && event.target && event.target.id === 'global-stop-btn')) return;
@@ -136,9 +383,13 @@ export function setupInteraction(
             suppressNextCanvasClick = false;
             return;
         }
+        // The end of an orbit or pan, not a click
+        if (pointerDownAt && Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y) > CLICK_MOVE_PX) return;
         if (!controlPoints || !scene || !canvas) return;
         // Prevent adding if hovering a point
         if (isHoveringPoint) return;
+        // In sketch mode points come from strokes only
+        if (sketchOptions.enabled) return;
 
         clearBezierPointsMeshes(scene);
         const rect = canvas.getBoundingClientRect();
@@ -146,24 +397,26 @@ export function setupInteraction(
             ((event.clientX - rect.left) / rect.width) * 2 - 1,
             -((event.clientY - rect.top) / rect.height) * 2 + 1
         );
-        const vector = new THREE.Vector3(mouseNDC.x, mouseNDC.y, 0.5);
-        vector.unproject(camera);
-        const dir = new THREE.Vector3(0, 0, -1);
-        const distance = (0 - camera.position.z) / dir.z;
-        const pos = camera.position.clone().add(dir.multiplyScalar(distance));
-        pos.x = vector.x;
-        pos.y = vector.y;
-        pos.z = 0;
-
-        controlPoints.push(pos);
-        const geometry = new THREE.SphereGeometry(0.1, 16, 16);
-        const material = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.position.copy(pos);
-        mesh.renderOrder = 1;
-        scene.add(mesh);
-        controlPointMeshes.push(mesh);
-        yellowPointMeshes.push(undefined);
+        let pos;
+        if (viewOptions.is3D) {
+            // In space the new point goes on the view plane through the last point
+            raycaster.setFromCamera(mouseNDC, getCamera());
+            const anchor = controlPoints.length > 0 ? controlPoints[controlPoints.length - 1] : new THREE.Vector3();
+            pos = dragTarget(raycaster.ray, getCamera(), anchor, 'view');
+            if (!pos) return;
+        } else {
+            const vector = new THREE.Vector3(mouseNDC.x, mouseNDC.y, 0.5);
+            vector.unproject(getCamera());
+            pos = new THREE.Vector3(vector.x, vector.y, 0);
+        }
+
+        // Near the curve the point goes into the curve, elsewhere it is appended
+        const insertion = viewOptions.is3D ? null : findCurveInsertion(pos);
+        const index = insertion ? insertion.index : controlPoints.length;
+        if (insertion) pos.copy(insertion.point);
+
+        insertControlPoint(index, pos);
+        addedPointIndices.push(index);
 
         updateCurve();
     }
@@ -175,13 +428,10 @@ export function setupInteraction(
         if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
             // Only allow removing if more than the initial points remain
             if (controlPoints && controlPointMeshes && controlPoints.length > 0 && controlPointMeshes.length > 0) {
-                // Remove last mesh from scene and array
-                const mesh = controlPointMeshes.pop();
-                if (mesh && scene) scene.remove(mesh);
-                const yellowMesh = yellowPointMeshes.pop();
-                if (yellowMesh && scene) scene.remove(yellowMesh);
-                // Remove last control point
-                controlPoints.pop();
+                // Remove the most recently added point, which may have been inserted mid-curve
+                let index = controlPoints.length - 1;
+                if (addedPointIndices.length > 0) index = Math.min(addedPointIndices.pop(), index);
+                removeControlPoint(index);
                 updateCurve();
             }
         }
@@ -196,7 +446,7 @@ export function setupInteraction(
 
         mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-        raycaster.setFromCamera(mouse, camera);
+        raycaster.setFromCamera(mouse, getCamera());
         const intersects = raycaster.intersectObjects(controlPointMeshes);
 
         if (intersects.length > 0) {
@@ -233,50 +483,38 @@ export function setupInteraction(
                 document.body.removeChild(contextMenuDiv);
                 contextMenuDiv = null;
                 const i = contextMenuTargetIndex;
-                // Handle edge cases for i == 0 and i == len-2
                 const len = controlPoints.length;
                 if (len < 4) {
                     alert('Need at least four points to animate segment.');
                     return;
                 }
-                if (i < 0 || i > len - 2) {
+                // The segment starting at the last point only exists for closed loops
+                if (i < 0 || i >= catmullRomSegmentCount(len, curveOptions.closed)) {
                     alert('Invalid index for segment animation.');
                     return;
                 }
-                let P0, P1, P2, P3;
-                if (i === 0) {
-                    P0 = controlPoints[0];
-                    P1 = controlPoints[0];
-                    P2 = controlPoints[1];
-                    P3 = controlPoints[2];
-                } else if (i === len - 2) {
-                    P0 = controlPoints[len - 3];
-                    P1 = controlPoints[len - 2];
-                    P2 = controlPoints[len - 1];
-                    P3 = controlPoints[len - 1];
-                } else {
-                    P0 = controlPoints[i - 1];
-                    P1 = controlPoints[i];
-                    P2 = controlPoints[i + 1];
-                    P3 = controlPoints[i + 2];
-                }
+                // Neighbours wrap around for closed loops and repeat the end points otherwise
+                const indices = catmullRomSegmentIndices(len, i, curveOptions.closed);
+                const [P0, P1, P2, P3] = indices.map(k => controlPoints[k]);
                 // Always get the latest speed from the slider
                 const speedSlider = document.getElementById('speed-slider');
                 const currentSpeed = speedSlider ? parseFloat(speedSlider.value) : 1;
                 const duration = 3000 / currentSpeed; // Duration for each phase
-                animateCatmullRomControlPoint(scene, P0, P1, P2, bezierPointsMeshes, i, duration, 1);
+                const alpha = curveOptions.alpha;
+                const tcb1 = pointParams ? pointParams[indices[1]] : null;
+                const tcb2 = pointParams ? pointParams[indices[2]] : null;
+                animateCatmullRomControlPoint(scene, P0, P1, P2, bezierPointsMeshes, i, duration, 1, alpha, tcb1);
                 setTimeout(() => {
-                    animateCatmullRomControlPoint(scene, P3, P2, P1, bezierPointsMeshes, i + 1, duration, 2);
+                    animateCatmullRomControlPoint(scene, P3, P2, P1, bezierPointsMeshes, i + 1, duration, 2, alpha, tcb2);
                 }, duration * 3);
                 // Compute Bezier control points
-                const b_1 = P1.clone().add(P2.clone().sub(P0).multiplyScalar(1 / 6));
-                const b_2 = P2.clone().add(P1.clone().sub(P3).multiplyScalar(1 / 6));
+                const [, b_1, b_2] = catmullRomInterpolate(P0, P1, P2, P3, { alpha, tcb1, tcb2 });
                 // Animate de Casteljau's algorithm with the correct control points
                 setTimeout(() => {
                     animateDeCasteljau(
                         scene,
                         [P1, b_1, b_2, P2],
-                        (t, group) => {
+                        (t, levels) => {
                             // Optionally update labels or UI here during animation
                         },
                         5000 / currentSpeed, // duration in ms (optional)
@@ -286,6 +524,61 @@ export function setupInteraction(
             };
             contextMenuDiv.appendChild(animateOption);
 
+            // Kochanek-Bartels parameters of this point (tension alone gives a cardinal spline)
+            const params = pointParams && pointParams[contextMenuTargetIndex];
+            // TCB shapes Catmull-Rom tangents, which Hermite uses at points without a tangent of their own
+            const usesTCB = curveOptions.curveType === 'catmullRom'
+                || (curveOptions.curveType === 'hermite' && !(params && params.tangent));
+            if (params && usesTCB) {
+                contextMenuDiv.appendChild(createMenuHeader('Kochanek–Bartels (TCB)'));
+                const sliders = [
+                    ['Tension', 'tension'],
+                    ['Continuity', 'continuity'],
+                    ['Bias', 'bias']
+                ].map(([label, key]) => {
+                    const row = createMenuSlider(label, params[key], (v) => {
+                        params[key] = v;
+                        clearBezierPointsMeshes(scene);
+                        updateCurve();
+                    });
+                    contextMenuDiv.appendChild(row);
+                    return row;
+                });
+                const resetOption = document.createElement('div');
+                resetOption.textContent = 'Reset to Catmull-Rom';
+                resetOption.style.cursor = 'pointer';
+                resetOption.style.marginTop = '6px';
+                resetOption.onmouseenter = () => resetOption.style.background = '#444';
+                resetOption.onmouseleave = () => resetOption.style.background = 'none';
+                resetOption.onclick = () => {
+                    sliders.forEach(row => {
+                        const slider = row.querySelector('input');
+                        slider.value = '0';
+                        slider.dispatchEvent(new Event('input'));
+                    });
+                };
+                contextMenuDiv.appendChild(resetOption);
+            }
+
+            if (params) {
+                // Weight of the point as a rational Bezier control point (1 is polynomial);
+                // only the Bezier curve type draws the weights
+                if (curveOptions.curveType === 'bezier') {
+                    contextMenuDiv.appendChild(createMenuHeader('Rational Bezier'));
+                    contextMenuDiv.appendChild(createMenuSlider('Weight', params.weight, (v) => {
+                        params.weight = v;
+                        updateCurve();
+                    }, { min: 0.05, max: 5, step: 0.05 }));
+                }
+
+                // Multiplier of the outline half-width at this point
+                contextMenuDiv.appendChild(createMenuHeader('Outline'));
+                contextMenuDiv.appendChild(createMenuSlider('Width', params.width, (v) => {
+                    params.width = v;
+                    updateCurve();
+                }, { min: 0, max: 3, step: 0.05 }));
+            }
+
             // Add close on click elsewhere
             setTimeout(() => {
                 window.addEventListener('mousedown', closeContextMenu, { once: true });
@@ -324,10 +617,11 @@ export function setupInteraction(
         const pos = getTouchPos(touch);
         mouse.x = pos.x;
         mouse.y = pos.y;
-        raycaster.setFromCamera(mouse, camera);
-        const intersects = raycaster.intersectObjects(controlPointMeshes);
+        raycaster.setFromCamera(mouse, getCamera());
+        const intersects = raycaster.intersectObjects([...controlPointMeshes, ...getDraggables()]);
         if (intersects.length > 0) {
             selectedPoint = intersects[0].object;
+            dragStart.copy(selectedPoint.position);
             dragStarted = true;
             dragMoved = false;
             event.preventDefault();
@@ -345,18 +639,14 @@ export function setupInteraction(
         const pos = getTouchPos(touch);
         mouse.x = pos.x;
         mouse.y = pos.y;
-        raycaster.setFromCamera(mouse, camera);
+        raycaster.setFromCamera(mouse, getCamera());
         // Move selected point
         dragMoved = true;
-        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-        const planeIntersect = new THREE.Vector3();
-        if (raycaster.ray.intersectPlane(plane, planeIntersect)) {
-            selectedPoint.position.copy(planeIntersect);
-            updateCurve();
-        }
+        moveSelectedPoint();
         event.preventDefault();
     }
     function onTouchEnd(event) {
+        viewOptions.onDragChange(false);
         // Only allow interaction with pause button during pause
         if (window.__globalAnimationState && window.__globalAnimationState.paused) {
             if (!(event && event.target && event.target.id === 'global-stop-btn')) return;
@@ -379,6 +669,7 @@ export function setupInteraction(
 
     // Touch events on canvas
     if (canvas) {
+        canvas.addEventListener('pointerdown', onPointerDownCapture, { capture: true });
         canvas.addEventListener('click', onCanvasClick);
         canvas.addEventListener('contextmenu', onContextMenu);
         canvas.addEventListener('touchstart', onTouchStart, { passive: false });
@@ -394,6 +685,7 @@ export function setupInteraction(
         window.removeEventListener("mouseup", onMouseUp);
         window.removeEventListener("contextmenu", onContextMenu);
         if (canvas) {
+            canvas.removeEventListener('pointerdown', onPointerDownCapture, { capture: true });
             canvas.removeEventListener('click', onCanvasClick);
             canvas.removeEventListener('contextmenu', onContextMenu);
             canvas.removeEventListener('touchstart', onTouchStart);
@@ -0,0 +1,274 @@
+// intersections.js
+// Intersections of Bezier segments in the drawing plane (z is ignored):
+// curve–curve and self-intersections by bounding-box subdivision,
+// curve–line by Bezier clipping against the line's signed distance.
+import { subdivideBezier, subdivideScalarBezier, isBezierFlat, deCasteljau, bezierDerivative } from './curves.js';
+
+const DEFAULT_TOLERANCE = 1e-4;
+const DEFAULT_MAX_DEPTH = 24;
+const NEWTON_ITERATIONS = 6;
+// Hits closer than this in both parameters are reported once
+const PARAMETER_EPSILON = 1e-4;
+
+/**
+ * Bounding rectangle of a piece in the xy plane.
+ * @param {THREE.Vector3[]} points
+ * @returns {THREE.Box2}
+ */
+function boundsXY(points) {
+    const box = new THREE.Box2();
+    points.forEach(p => box.expandByPoint(new THREE.Vector2(p.x, p.y)));
+    return box;
+}
+
+/**
+ * Intersects two 2D line segments p0-p1 and q0-q1.
+ * @returns {{s: number, u: number}|null} Parameters on both segments, or null if they miss or are parallel.
+ */
+function intersectChords(p0, p1, q0, q1) {
+    const rx = p1.x - p0.x, ry = p1.y - p0.y;
+    const sx = q1.x - q0.x, sy = q1.y - q0.y;
+    const denom = rx * sy - ry * sx;
+    if (Math.abs(denom) < 1e-14) return null;
+    const qpx = q0.x - p0.x, qpy = q0.y - p0.y;
+    const s = (qpx * sy - qpy * sx) / denom;
+    const u = (qpx * ry - qpy * rx) / denom;
+    const slack = 1e-9;
+    if (s < -slack || s > 1 + slack || u < -slack || u > 1 + slack) return null;
+    return { s: Math.min(Math.max(s, 0), 1), u: Math.min(Math.max(u, 0), 1) };
+}
+
+/**
+ * Refines a curve–curve hit with Newton's method on A(tA) - B(tB) = 0 in the plane.
+ * @returns {{tA: number, tB: number}}
+ */
+function refineCurveCurve(a, b, tA, tB) {
+    for (let k = 0; k < NEWTON_ITERATIONS; k++) {
+        const diff = deCasteljau(a, tA).sub(deCasteljau(b, tB));
+        const da = bezierDerivative(a, tA);
+        const db = bezierDerivative(b, tB);
+        // Solve [da, -db] [dtA, dtB]^T = -diff
+        const det = -da.x * db.y + da.y * db.x;
+        if (Math.abs(det) < 1e-12) break;
+        const dtA = (-diff.x * -db.y - -diff.y * -db.x) / det;
+        const dtB = (da.x * -diff.y - da.y * -diff.x) / det;
+        const nextA = Math.min(Math.max(tA + dtA, 0), 1);
+        const nextB = Math.min(Math.max(tB + dtB, 0), 1);
+        const done = Math.abs(nextA - tA) + Math.abs(nextB - tB) < 1e-12;
+        tA = nextA;
+        tB = nextB;
+        if (done) break;
+    }
+    return { tA, tB };
+}
+
+/**
+ * Adds a hit unless an equal one (by both parameters) is already there.
+ * @param {Array} hits
+ * @param {Object} hit - Has tA and tB.
+ */
+function addUniqueHit(hits, hit) {
+    const duplicate = hits.some(other =>
+        Math.abs(other.tA - hit.tA) < PARAMETER_EPSILON && Math.abs(other.tB - hit.tB) < PARAMETER_EPSILON
+    );
+    if (!duplicate) hits.push(hit);
+}
+
+/**
+ * Finds all intersections of two Bezier curves by recursive bounding-box subdivision.
+ * Pairs of pieces whose boxes do not overlap are discarded; once both pieces are flat
+ * their chords are intersected and the result is refined on the original curves.
+ * @param {THREE.Vector3[]} a - Control points of the first curve.
+ * @param {THREE.Vector3[]} b - Control points of the second curve.
+ * @param {Object} [opts] - Optional: { tolerance, maxDepth }
+ * @returns {Array<{tA: number, tB: number, point: THREE.Vector3}>} Hits sorted by tA.
+ */
+export function intersectBeziers(a, b, opts = {}) {
+    const tolerance = opts.tolerance || DEFAULT_TOLERANCE;
+    const maxDepth = opts.maxDepth || DEFAULT_MAX_DEPTH;
+    const hits = [];
+
+    function search(pieceA, a0, a1, pieceB, b0, b1, depth) {
+        if (!boundsXY(pieceA).intersectsBox(boundsXY(pieceB))) return;
+        const flatA = isBezierFlat(pieceA, tolerance);
+        const flatB = isBezierFlat(pieceB, tolerance);
+        if ((flatA && flatB) || depth >= maxDepth) {
+            const hit = intersectChords(pieceA[0], pieceA[pieceA.length - 1], pieceB[0], pieceB[pieceB.length - 1]);
+            if (!hit) return;
+            const { tA, tB } = refineCurveCurve(a, b, a0 + hit.s * (a1 - a0), b0 + hit.u * (b1 - b0));
+            addUniqueHit(hits, { tA, tB, point: deCasteljau(a, tA) });
+            return;
+        }
+        // Split whichever pieces are still curved
+        const partsA = flatA ? [[pieceA, a0, a1]] : splitPiece(pieceA, a0, a1);
+        const partsB = flatB ? [[pieceB, b0, b1]] : splitPiece(pieceB, b0, b1);
+        for (const [pa, pa0, pa1] of partsA) {
+            for (const [pb, pb0, pb1] of partsB) {
+                search(pa, pa0, pa1, pb, pb0, pb1, depth + 1);
+            }
+        }
+    }
+
+    search(a, 0, 1, b, 0, 1, 0);
+    return hits.sort((h1, h2) => h1.tA - h2.tA);
+}
+
+function splitPiece(piece, t0, t1) {
+    const { left, right } = subdivideBezier(piece, 0.5);
+    const tMid = (t0 + t1) / 2;
+    return [[left, t0, tMid], [right, tMid, t1]];
+}
+
+/**
+ * Finds where a Bezier curve crosses a line by Bezier clipping.
+ * The signed distances of the control points to the line are the coefficients of a
+ * one-dimensional Bezier function d(t); the convex hull of (i/n, d_i) bounds the
+ * parameter range that can hold a root, and the curve is clipped to it repeatedly.
+ * @param {THREE.Vector3[]} controlPoints - Control points of the curve.
+ * @param {THREE.Line3} line - The line; see opts.infinite.
+ * @param {Object} [opts] - Optional: { infinite, tolerance, maxDepth } where infinite
+ *   treats the line as unbounded instead of the segment from line.start to line.end.
+ * @returns {Array<{t: number, s: number, point: THREE.Vector3}>} Hits sorted by t;
+ *   s is the parameter along the line (0 at start, 1 at end).
+ */
+export function intersectBezierLine(controlPoints, line, opts = {}) {
+    const tolerance = opts.tolerance || DEFAULT_TOLERANCE;
+    const maxDepth = opts.maxDepth || DEFAULT_MAX_DEPTH;
+    const direction = line.delta(new THREE.Vector3());
+    const length = Math.hypot(direction.x, direction.y);
+    if (length < 1e-12) return [];
+    // Unit normal of the line in the plane
+    const nx = -direction.y / length, ny = direction.x / length;
+    const distances = controlPoints.map(p => (p.x - line.start.x) * nx + (p.y - line.start.y) * ny);
+    // A curve lying on the line has no isolated crossings
+    if (distances.every(v => Math.abs(v) < 1e-12)) return [];
+    const roots = [];
+    clipRoots(distances, 0, 1, 0);
+
+    function clipRoots(d, t0, t1, depth) {
+        const [tMin, tMax] = hullRootRange(d);
+        if (tMin === null) return;
+        const span = t1 - t0;
+        if (span * (tMax - tMin) < tolerance * 1e-2 || depth >= maxDepth) {
+            roots.push(t0 + span * (tMin + tMax) / 2);
+            return;
+        }
+        if (tMax - tMin > 0.8) {
+            // Clipping barely helps: more than one root is likely, split in half
+            const { left, right } = subdivideScalarBezier(d, 0.5);
+            clipRoots(left, t0, t0 + span / 2, depth + 1);
+            clipRoots(right, t0 + span / 2, t1, depth + 1);
+            return;
+        }
+        // Keep only [tMin, tMax] of this piece
+        const clippedRight = subdivideScalarBezier(d, tMin).right;
+        const clipped = subdivideScalarBezier(clippedRight, tMin < 1 ? (tMax - tMin) / (1 - tMin) : 1).left;
+        clipRoots(clipped, t0 + span * tMin, t0 + span * tMax, depth + 1);
+    }
+
+    const hits = [];
+    const lengthSq = direction.lengthSq();
+    roots.sort((r1, r2) => r1 - r2).forEach(t => {
+        if (hits.length > 0 && Math.abs(hits[hits.length - 1].t - t) < PARAMETER_EPSILON) return;
+        const point = deCasteljau(controlPoints, t);
+        const s = point.clone().sub(line.start).dot(direction) / lengthSq;
+        if (!opts.infinite && (s < -1e-9 || s > 1 + 1e-9)) return;
+        hits.push({ t, s, point });
+    });
+    return hits;
+}
+
+/**
+ * Returns the range of t where the convex hull of the points (i/n, d_i) meets d = 0.
+ * The graph of the scalar Bezier function lies inside this hull, so its roots do too.
+ * @param {number[]} d - Coefficients.
+ * @returns {number[]} [tMin, tMax], or [null, null] when the hull misses the axis.
+ */
+function hullRootRange(d) {
+    const n = d.length - 1;
+    if (d.every(v => v > 0) || d.every(v => v < 0)) return [null, null];
+    let tMin = Infinity, tMax = -Infinity;
+    // Every root of an edge between two hull points lies between the roots of some pair of control points
+    for (let i = 0; i <= n; i++) {
+        if (d[i] === 0) {
+            tMin = Math.min(tMin, i / n);
+            tMax = Math.max(tMax, i / n);
+        }
+        for (let j = i + 1; j <= n; j++) {
+            if ((d[i] < 0) === (d[j] < 0)) continue;
+            const t = (i + (j - i) * d[i] / (d[i] - d[j])) / n;
+            tMin = Math.min(tMin, t);
+            tMax = Math.max(tMax, t);
+        }
+    }
+    return [Math.max(tMin, 0), Math.min(tMax, 1)];
+}
+
+/**
+ * Finds all intersections between two piecewise Bezier curves.
+ * @param {THREE.Vector3[][]} segmentsA - Bezier control points of each segment of the first curve.
+ * @param {THREE.Vector3[][]} segmentsB - Same for the second curve.
+ * @param {Object} [opts] - Optional: { tolerance, maxDepth }
+ * @returns {Array<{segmentA: number, tA: number, segmentB: number, tB: number, point: THREE.Vector3}>}
+ */
+export function intersectCurves(segmentsA, segmentsB, opts = {}) {
+    const hits = [];
+    segmentsA.forEach((a, segmentA) => {
+        segmentsB.forEach((b, segmentB) => {
+            intersectBeziers(a, b, opts).forEach(({ tA, tB, point }) => {
+                hits.push({ segmentA, tA, segmentB, tB, point });
+            });
+        });
+    });
+    return hits;
+}
+
+/**
+ * Finds all intersections between a piecewise Bezier curve and a line.
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {THREE.Line3} line - The line.
+ * @param {Object} [opts] - Optional: { infinite, tolerance, maxDepth }
+ * @returns {Array<{segmentIndex: number, t: number, s: number, point: THREE.Vector3}>}
+ */
+export function intersectCurveLine(segments, line, opts = {}) {
+    const hits = [];
+    segments.forEach((segment, segmentIndex) => {
+        intersectBezierLine(segment, line, opts).forEach(hit => hits.push({ segmentIndex, ...hit }));
+    });
+    return hits;
+}
+
+/**
+ * Finds the points where a piecewise Bezier curve crosses itself.
+ * Every pair of segments is intersected; the joint that neighbouring segments
+ * share is not a crossing and is skipped. A single segment can cross itself
+ * too (a loop), which shows up as a hit between its two halves.
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {Object} [opts] - Optional: { closed, tolerance, maxDepth } where closed
+ *   also treats the last and first segment as neighbours.
+ * @returns {Array<{segmentA: number, tA: number, segmentB: number, tB: number, point: THREE.Vector3}>}
+ *   With segmentA <= segmentB.
+ */
+export function findSelfIntersections(segments, opts = {}) {
+    const hits = [];
+    const count = segments.length;
+    const jointEpsilon = 1e-3;
+    for (let i = 0; i < count; i++) {
+        // Loops inside one segment: intersect its halves, dropping the shared midpoint
+        const { left, right } = subdivideBezier(segments[i], 0.5);
+        intersectBeziers(left, right, opts).forEach(({ tA, tB, point }) => {
+            if (tA > 1 - jointEpsilon && tB < jointEpsilon) return;
+            hits.push({ segmentA: i, tA: tA / 2, segmentB: i, tB: 0.5 + tB / 2, point });
+        });
+        for (let j = i + 1; j < count; j++) {
+            const nextNeighbour = j === i + 1;
+            const wrapNeighbour = opts.closed && i === 0 && j === count - 1 && count > 2;
+            intersectBeziers(segments[i], segments[j], opts).forEach(({ tA, tB, point }) => {
+                if (nextNeighbour && tA > 1 - jointEpsilon && tB < jointEpsilon) return;
+                if (wrapNeighbour && tA < jointEpsilon && tB > 1 - jointEpsilon) return;
+                hits.push({ segmentA: i, tA, segmentB: j, tB, point });
+            });
+        }
+    }
+    return hits;
+}
@@ -4,8 +4,9 @@ let hoverIndicatorMesh = null;
  * Creates a yellow hover indicator at the given position.
  * @param {THREE.Vector3} position
  * @param {THREE.Scene} scene
+ * @param {THREE.Camera} [camera] - With a perspective camera the indicator goes behind the point along the view.
  */
-export function createHoverIndicator(position, scene) {
+export function createHoverIndicator(position, scene, camera) {
     if (hoverIndicatorMesh) {
         scene.remove(hoverIndicatorMesh);
     }
@@ -15,7 +16,12 @@ export function createHoverIndicator(position, scene) {
     hoverIndicatorMesh.position.copy(position);
 
     // Position the yellow circle slightly behind the red sphere
-    hoverIndicatorMesh.position.set(position.x, position.y, position.z - 1); // Move it slightly back on the z-axis
+    if (camera && camera.isPerspectiveCamera) {
+        // Moving back along z would shift it sideways in perspective
+        hoverIndicatorMesh.position.addScaledVector(camera.getWorldDirection(new THREE.Vector3()), 0.05);
+    } else {
+        hoverIndicatorMesh.position.set(position.x, position.y, position.z - 1); // Move it slightly back on the z-axis
+    }
     hoverIndicatorMesh.renderOrder = -1; // Lower than control points
     scene.add(hoverIndicatorMesh);
 }
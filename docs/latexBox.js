@@ -267,15 +267,17 @@ export function showLatexBox() {
 /**
  * Show a LaTeX formula in a custom box at a given position (not interfering with the main latex box).
  * @param {string} latex - The LaTeX string to render (without $ or \[...\])
- * @param {Object} [opts] - Optional: { position, bottom, right, left, top, fontSize, zIndex, timeMs }
+ * @param {Object} [opts] - Optional: { id, position, bottom, right, left, top, fontSize, zIndex, timeMs }
  * If timeMs is provided, the box will auto-hide after that duration.
+ * A different id gives a separate box, which the triangle scheme box does not replace.
  * Returns a function to manually hide the box.
  */
 export function showLatexCornerBox(latex, opts = {}) {
-    let box = document.getElementById('latex-corner-box');
+    const id = opts.id || 'latex-corner-box';
+    let box = document.getElementById(id);
     if (!box) {
         box = document.createElement('div');
-        box.id = 'latex-corner-box';
+        box.id = id;
         document.body.appendChild(box);
     }
     box.style.position = opts.position || 'fixed';
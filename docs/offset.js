@@ -0,0 +1,152 @@
+// offset.js
+// Offset curves and variable-width outlines of piecewise Bezier curves.
+// The exact offset of a cubic is not a cubic, so it is approximated by cubic
+// Hermite pieces that match the offset's position and derivative at their ends,
+// split in half until every piece is within tolerance.
+import { bezierFrame, deCasteljau } from './curves.js';
+import { convertSegmentBasis } from './basis.js';
+
+const ERROR_SAMPLES = 8;
+const DERIVATIVE_STEP = 1e-4;
+
+/**
+ * Unit normal of a Bezier curve at t, looking slightly inside the curve where the
+ * derivatives vanish (repeated control points), so the normal is always defined.
+ * @param {THREE.Vector3[]} controlPoints
+ * @param {number} t
+ * @returns {{point: THREE.Vector3, normal: THREE.Vector3}}
+ */
+function stableFrame(controlPoints, t) {
+    const frame = bezierFrame(controlPoints, t);
+    if (frame.normal.lengthSq() > 0.5) return frame;
+    for (let step = 1e-6; step < 0.5; step *= 10) {
+        const inside = bezierFrame(controlPoints, t < 0.5 ? t + step : t - step);
+        if (inside.normal.lengthSq() > 0.5) return { point: frame.point, normal: inside.normal };
+    }
+    return frame;
+}
+
+/**
+ * Point at signed distance d from a Bezier curve along its normal
+ * (positive to the left of the direction of travel).
+ * @param {THREE.Vector3[]} controlPoints - Bezier control points.
+ * @param {number} t - Curve parameter [0, 1].
+ * @param {number} d - Signed distance.
+ * @returns {THREE.Vector3}
+ */
+export function offsetPoint(controlPoints, t, d) {
+    const { point, normal } = stableFrame(controlPoints, t);
+    return point.addScaledVector(normal, d);
+}
+
+/**
+ * Approximates a parametric curve f on [0, 1] by cubic Bezier segments.
+ * @param {Function} f - (t) => THREE.Vector3
+ * @param {number} tolerance - Maximum distance between f and the approximation at matching parameters.
+ * @param {number} maxDepth - Maximum number of halvings.
+ * @returns {THREE.Vector3[][]}
+ */
+function approximateWithCubics(f, tolerance, maxDepth) {
+    const segments = [];
+    const derivative = (t, t0, t1) => {
+        // One-sided at the ends of the piece so cusps at joints are not smeared
+        const h = Math.min(DERIVATIVE_STEP, (t1 - t0) / 4);
+        const a = Math.max(t - h, t0);
+        const b = Math.min(t + h, t1);
+        return f(b).sub(f(a)).divideScalar(b - a);
+    };
+
+    function fit(t0, t1, depth) {
+        const span = t1 - t0;
+        // Hermite tangents are per unit of the piece's own parameter
+        const geometry = [
+            f(t0),
+            f(t1),
+            derivative(t0, t0, t1).multiplyScalar(span),
+            derivative(t1, t0, t1).multiplyScalar(span)
+        ];
+        const cubic = convertSegmentBasis(geometry, 'hermite', 'bezier');
+        let error = 0;
+        for (let k = 1; k < ERROR_SAMPLES; k++) {
+            const s = k / ERROR_SAMPLES;
+            error = Math.max(error, deCasteljau(cubic, s).distanceTo(f(t0 + s * span)));
+        }
+        if (error <= tolerance || depth >= maxDepth) {
+            segments.push(cubic);
+            return;
+        }
+        const tMid = (t0 + t1) / 2;
+        fit(t0, tMid, depth + 1);
+        fit(tMid, t1, depth + 1);
+    }
+
+    fit(0, 1, 0);
+    return segments;
+}
+
+/**
+ * Approximates the offset of one Bezier curve by cubic Bezier segments.
+ * @param {THREE.Vector3[]} controlPoints - Bezier control points.
+ * @param {number|Function} distance - Signed offset distance, or (t) => distance for a varying offset.
+ * @param {number} tolerance - Maximum approximation error.
+ * @param {number} [maxDepth=8] - Maximum number of halvings.
+ * @returns {THREE.Vector3[][]} Cubic segments of the offset.
+ */
+export function offsetBezier(controlPoints, distance, tolerance, maxDepth = 8) {
+    const distanceAt = typeof distance === 'function' ? distance : () => distance;
+    return approximateWithCubics(t => offsetPoint(controlPoints, t, distanceAt(t)), tolerance, maxDepth);
+}
+
+/**
+ * Approximates the offset of a piecewise Bezier curve by cubic Bezier segments.
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {number|Function} distance - Signed distance, or (segmentIndex, t) => distance.
+ * @param {number} tolerance - Maximum approximation error.
+ * @returns {THREE.Vector3[][]} Cubic segments of the offset, in order.
+ */
+export function offsetCurve(segments, distance, tolerance) {
+    const result = [];
+    segments.forEach((segment, i) => {
+        const distanceAt = typeof distance === 'function' ? (t) => distance(i, t) : distance;
+        result.push(...offsetBezier(segment, distanceAt, tolerance));
+    });
+    return result;
+}
+
+/**
+ * Builds the two sides of a stroke outline around a piecewise Bezier curve.
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {Function} halfWidth - (segmentIndex, t) => half of the stroke width there.
+ * @param {number} tolerance - Maximum approximation error.
+ * @returns {{left: THREE.Vector3[][], right: THREE.Vector3[][]}} Cubic segments of each side,
+ *   both running in the direction of the curve.
+ */
+export function createStrokeOutline(segments, halfWidth, tolerance) {
+    return {
+        left: offsetCurve(segments, (i, t) => halfWidth(i, t), tolerance),
+        right: offsetCurve(segments, (i, t) => -halfWidth(i, t), tolerance)
+    };
+}
+
+/**
+ * Samples both sides of a stroke outline at the same parameters, for a triangle strip.
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {Function} halfWidth - (segmentIndex, t) => half of the stroke width there.
+ * @param {number} [samplesPerSegment=32]
+ * @returns {{left: THREE.Vector3[], right: THREE.Vector3[]}}
+ */
+export function sampleStrokeOutline(segments, halfWidth, samplesPerSegment = 32) {
+    const left = [];
+    const right = [];
+    segments.forEach((segment, i) => {
+        // Skip t = 0 after the first segment, it is the end of the previous one
+        for (let k = i === 0 ? 0 : 1; k <= samplesPerSegment; k++) {
+            const t = k / samplesPerSegment;
+            const { point, normal } = stableFrame(segment, t);
+            const w = halfWidth(i, t);
+            left.push(point.clone().addScaledVector(normal, w));
+            right.push(point.clone().addScaledVector(normal, -w));
+        }
+    });
+    return { left, right };
+}
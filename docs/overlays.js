@@ -0,0 +1,290 @@
+// overlays.js
+// Analysis overlays drawn on top of the live curve.
+import { bezierFrame, deCasteljau } from './curves.js';
+import { curveBoundingBox, convexHull } from './bounds.js';
+
+let curvatureCombGroup = null;
+
+function disposeGroup(scene, group) {
+    if (!group) return;
+    scene.remove(group);
+    group.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) obj.material.dispose();
+    });
+}
+
+/**
+ * Draws (or removes) a curvature comb: curvature-scaled normals along the curve,
+ * pointing away from the centre of curvature, joined by their envelope.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {Object} [opts] - Optional: { visible, scale, samplesPerSegment, color }
+ */
+export function updateCurvatureComb(scene, segments, opts = {}) {
+    disposeGroup(scene, curvatureCombGroup);
+    curvatureCombGroup = null;
+    if (!opts.visible || !segments || segments.length === 0) return;
+    const scale = opts.scale !== undefined ? opts.scale : 1;
+    const samples = opts.samplesPerSegment || 24;
+    const color = opts.color || 0xff66cc;
+
+    const teeth = [];
+    const envelope = [];
+    segments.forEach((segment, i) => {
+        // Skip t = 0 after the first segment, it is the end of the previous one
+        for (let k = i === 0 ? 0 : 1; k <= samples; k++) {
+            const frame = bezierFrame(segment, k / samples);
+            const tip = frame.point.clone().addScaledVector(frame.normal, -frame.curvature * scale);
+            teeth.push(frame.point, tip);
+            envelope.push(tip);
+        }
+    });
+    curvatureCombGroup = new THREE.Group();
+    const material = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.6 });
+    curvatureCombGroup.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(teeth), material));
+    curvatureCombGroup.add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(envelope),
+        new THREE.LineBasicMaterial({ color })
+    ));
+    scene.add(curvatureCombGroup);
+}
+
+let bezierPolygonGroup = null;
+
+/**
+ * Draws (or removes) the equivalent Bezier control polygon of every segment,
+ * with the inner control points shown like the yellow points of the segment animation.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {Object} [opts] - Optional: { visible, color, pointSize }
+ */
+export function updateBezierPolygons(scene, segments, opts = {}) {
+    disposeGroup(scene, bezierPolygonGroup);
+    bezierPolygonGroup = null;
+    if (!opts.visible || !segments || segments.length === 0) return;
+    const color = opts.color || 0xffff00;
+    const pointSize = opts.pointSize || 0.05;
+
+    bezierPolygonGroup = new THREE.Group();
+    segments.forEach(segment => {
+        bezierPolygonGroup.add(new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(segment),
+            new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.5 })
+        ));
+        // The end points are shared with the neighbouring segments and lie on the curve
+        segment.forEach((point, i) => {
+            const inner = i > 0 && i < segment.length - 1;
+            const mesh = new THREE.Mesh(
+                new THREE.SphereGeometry(inner ? pointSize : pointSize * 0.7, 12, 12),
+                new THREE.MeshBasicMaterial({ color: inner ? color : 0xffffff })
+            );
+            mesh.position.copy(point);
+            bezierPolygonGroup.add(mesh);
+        });
+    });
+    scene.add(bezierPolygonGroup);
+}
+
+let intersectionMarkerGroup = null;
+
+/**
+ * Draws (or removes) markers at intersection points: a ring around each point.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3[]} points - Intersection points.
+ * @param {Object} [opts] - Optional: { visible, color, radius }
+ */
+export function updateIntersectionMarkers(scene, points, opts = {}) {
+    disposeGroup(scene, intersectionMarkerGroup);
+    intersectionMarkerGroup = null;
+    if (!opts.visible || !points || points.length === 0) return;
+    const color = opts.color || 0xff3333;
+    const radius = opts.radius || 0.12;
+
+    intersectionMarkerGroup = new THREE.Group();
+    points.forEach(point => {
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(radius * 0.7, radius, 24),
+            new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+        );
+        ring.position.copy(point);
+        ring.renderOrder = 2;
+        intersectionMarkerGroup.add(ring);
+    });
+    scene.add(intersectionMarkerGroup);
+}
+
+/**
+ * Creates a translucent filled convex hull of points with its outline.
+ * @param {THREE.Vector3[]} points - Points in the xy plane.
+ * @param {Object} [opts] - Optional: { color, opacity }
+ * @returns {THREE.Group}
+ */
+export function createConvexHullObject(points, opts = {}) {
+    const color = opts.color !== undefined ? opts.color : 0x66aaff;
+    const group = new THREE.Group();
+    const hull = convexHull(points);
+    if (hull.length < 2) return group;
+    if (hull.length >= 3) {
+        const shape = new THREE.Shape(hull.map(p => new THREE.Vector2(p.x, p.y)));
+        const fill = new THREE.Mesh(
+            new THREE.ShapeGeometry(shape),
+            new THREE.MeshBasicMaterial({
+                color,
+                transparent: true,
+                opacity: opts.opacity !== undefined ? opts.opacity : 0.15,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        fill.position.z = -0.01;
+        fill.renderOrder = -2;
+        group.add(fill);
+    }
+    group.add(new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(hull),
+        new THREE.LineBasicMaterial({ color })
+    ));
+    return group;
+}
+
+let boundsGroup = null;
+
+/**
+ * Draws (or removes) the exact bounding box of the curve with its extrema,
+ * and the convex hull of the control polygon.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {THREE.Vector3[]} controlPoints - The control polygon.
+ * @param {Object} [opts] - Optional: { showBox, showHull, boxColor, hullColor }
+ */
+export function updateBoundsOverlay(scene, segments, controlPoints, opts = {}) {
+    disposeGroup(scene, boundsGroup);
+    boundsGroup = null;
+    if (!opts.showBox && !opts.showHull) return;
+    boundsGroup = new THREE.Group();
+    if (opts.showHull && controlPoints.length >= 2) {
+        boundsGroup.add(createConvexHullObject(controlPoints, { color: opts.hullColor }));
+    }
+    if (opts.showBox && segments.length > 0) {
+        const color = opts.boxColor || 0xffaa00;
+        const { box, extrema } = curveBoundingBox(segments);
+        const { min, max } = box;
+        boundsGroup.add(new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(min.x, min.y, 0),
+                new THREE.Vector3(max.x, min.y, 0),
+                new THREE.Vector3(max.x, max.y, 0),
+                new THREE.Vector3(min.x, max.y, 0)
+            ]),
+            new THREE.LineDashedMaterial({ color, dashSize: 0.15, gapSize: 0.1 })
+        ));
+        boundsGroup.children[boundsGroup.children.length - 1].computeLineDistances();
+        extrema.forEach(({ point }) => {
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(0.05, 12, 12),
+                new THREE.MeshBasicMaterial({ color })
+            );
+            marker.position.copy(point);
+            boundsGroup.add(marker);
+        });
+    }
+    scene.add(boundsGroup);
+}
+
+let outlineGroup = null;
+
+/**
+ * Draws (or removes) a stroke outline: a translucent filled band between the two
+ * sampled sides, and the cubic approximations of the sides as lines.
+ * @param {THREE.Scene} scene
+ * @param {Object} outline - { sampled: {left, right} points, curves: {left, right} cubic segments or null }
+ * @param {Object} [opts] - Optional: { visible, fill, color, opacity }
+ */
+export function updateOutlineOverlay(scene, outline, opts = {}) {
+    disposeGroup(scene, outlineGroup);
+    outlineGroup = null;
+    if (!opts.visible || !outline) return;
+    const color = opts.color !== undefined ? opts.color : 0x44ccaa;
+    outlineGroup = new THREE.Group();
+
+    const { left, right } = outline.sampled || { left: [], right: [] };
+    if (opts.fill && left.length >= 2) {
+        // Triangle strip between matching samples of the two sides
+        const positions = [];
+        left.forEach(p => positions.push(p.x, p.y, p.z));
+        right.forEach(p => positions.push(p.x, p.y, p.z));
+        const n = left.length;
+        const indices = [];
+        for (let i = 0; i < n - 1; i++) {
+            indices.push(i, n + i, i + 1, i + 1, n + i, n + i + 1);
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+        const fill = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: opts.opacity !== undefined ? opts.opacity : 0.35,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        fill.position.z = -0.005;
+        fill.renderOrder = -1;
+        outlineGroup.add(fill);
+    }
+
+    const curves = outline.curves;
+    if (curves) {
+        [curves.left, curves.right].forEach(side => {
+            const points = [];
+            side.forEach((segment, i) => {
+                for (let k = i === 0 ? 0 : 1; k <= 16; k++) points.push(deCasteljau(segment, k / 16));
+            });
+            if (points.length < 2) return;
+            outlineGroup.add(new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color })
+            ));
+        });
+    }
+    scene.add(outlineGroup);
+}
+
+// Colour of each continuity class, from smooth (green) to broken (magenta)
+export const CONTINUITY_COLORS = {
+    C2: 0x33dd55,
+    G2: 0x33cccc,
+    C1: 0xdddd33,
+    G1: 0xff9933,
+    C0: 0xff4422,
+    none: 0xff00ff
+};
+
+let continuityGroup = null;
+
+/**
+ * Draws (or removes) a disc at every segment joint, coloured by its continuity class.
+ * @param {THREE.Scene} scene
+ * @param {Array<{point: THREE.Vector3, class: string}>} joints - Results of analyzeContinuity.
+ * @param {Object} [opts] - Optional: { visible, radius }
+ */
+export function updateContinuityMarkers(scene, joints, opts = {}) {
+    disposeGroup(scene, continuityGroup);
+    continuityGroup = null;
+    if (!opts.visible || !joints || joints.length === 0) return;
+    const radius = opts.radius || 0.14;
+
+    continuityGroup = new THREE.Group();
+    joints.forEach(joint => {
+        const color = CONTINUITY_COLORS[joint.class];
+        const disc = new THREE.Mesh(
+            new THREE.RingGeometry(radius * 0.55, radius, 24),
+            new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+        );
+        disc.position.copy(joint.point);
+        disc.renderOrder = 2;
+        continuityGroup.add(disc);
+    });
+    scene.add(continuityGroup);
+}
@@ -0,0 +1,88 @@
+// projection.js
+// Closest-point queries on Bezier segments: subdivision finds the candidate
+// pieces, Newton iteration refines the parameter on the original segment.
+import { subdivideBezier, isBezierFlat, deCasteljau, bezierDerivative } from './curves.js';
+
+const NEWTON_ITERATIONS = 8;
+
+/**
+ * Refines t so that B(t) - point is perpendicular to the tangent B'(t),
+ * using Newton's method on f(t) = (B(t) - point) · B'(t).
+ * @param {THREE.Vector3[]} controlPoints - Bezier control points.
+ * @param {THREE.Vector3} point - Query point.
+ * @param {number} t - Initial guess.
+ * @returns {number} Refined parameter in [0, 1].
+ */
+function refineWithNewton(controlPoints, point, t) {
+    for (let k = 0; k < NEWTON_ITERATIONS; k++) {
+        const diff = deCasteljau(controlPoints, t).sub(point);
+        const d1 = bezierDerivative(controlPoints, t, 1);
+        const d2 = bezierDerivative(controlPoints, t, 2);
+        const f = diff.dot(d1);
+        const df = d1.dot(d1) + diff.dot(d2);
+        if (Math.abs(df) < 1e-12) break;
+        const next = Math.min(Math.max(t - f / df, 0), 1);
+        if (Math.abs(next - t) < 1e-10) return next;
+        t = next;
+    }
+    return t;
+}
+
+/**
+ * Finds the point of a Bezier curve closest to a query point.
+ * Pieces whose control polygon bounding box is farther than the best distance so
+ * far are pruned, since the curve lies inside its control polygon's hull.
+ * @param {THREE.Vector3[]} controlPoints - Bezier control points.
+ * @param {THREE.Vector3} point - Query point.
+ * @param {Object} [opts] - Optional: { tolerance, maxDepth }
+ * @returns {{t: number, point: THREE.Vector3, distance: number}}
+ */
+export function closestPointOnBezier(controlPoints, point, opts = {}) {
+    const tolerance = opts.tolerance || 1e-3;
+    const maxDepth = opts.maxDepth || 10;
+    let best = { t: 0, point: controlPoints[0].clone(), distance: controlPoints[0].distanceTo(point) };
+    const last = controlPoints[controlPoints.length - 1];
+    if (last.distanceTo(point) < best.distance) {
+        best = { t: 1, point: last.clone(), distance: last.distanceTo(point) };
+    }
+    const box = new THREE.Box3();
+    const chord = new THREE.Line3();
+
+    function search(piece, t0, t1, depth) {
+        if (box.setFromPoints(piece).distanceToPoint(point) > best.distance) return;
+        if (depth < maxDepth && !isBezierFlat(piece, tolerance)) {
+            const { left, right } = subdivideBezier(piece, 0.5);
+            const tMid = (t0 + t1) / 2;
+            search(left, t0, tMid, depth + 1);
+            search(right, tMid, t1, depth + 1);
+            return;
+        }
+        // The piece is nearly straight: project onto its chord for the initial guess
+        chord.set(piece[0], piece[piece.length - 1]);
+        const s = chord.closestPointToPointParameter(point, true);
+        const t = refineWithNewton(controlPoints, point, t0 + s * (t1 - t0));
+        const candidate = deCasteljau(controlPoints, t);
+        const distance = candidate.distanceTo(point);
+        if (distance < best.distance) best = { t, point: candidate, distance };
+    }
+
+    search(controlPoints, 0, 1, 0);
+    return best;
+}
+
+/**
+ * Finds the point of a piecewise Bezier curve closest to a query point.
+ * @param {THREE.Vector3[][]} segments - Bezier control points of each segment.
+ * @param {THREE.Vector3} point - Query point.
+ * @param {Object} [opts] - Optional: { tolerance, maxDepth }
+ * @returns {{segmentIndex: number, t: number, point: THREE.Vector3, distance: number}|null}
+ *   null when there are no segments.
+ */
+export function closestPointOnCurve(segments, point, opts = {}) {
+    let best = null;
+    segments.forEach((segment, segmentIndex) => {
+        const result = closestPointOnBezier(segment, point, opts);
+        if (!best || result.distance < best.distance) best = { segmentIndex, ...result };
+    });
+    return best;
+}
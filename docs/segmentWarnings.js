@@ -0,0 +1,104 @@
+// segmentWarnings.js
+// Small warning cards pinned to the curve, one per segment with degeneracy issues.
+// They do not block the canvas: only the card itself takes the pointer, for its fix buttons.
+
+let warningCards = [];
+
+const ISSUE_TEXT = {
+    coincident: (issue) => `P${issue.pointIndex} sits on its neighbour`,
+    collapsed: () => 'Segment has no length',
+    zeroVelocity: (issue) => `Velocity vanishes at t = ${issue.t.toFixed(2)}`,
+    cusp: (issue) => `Cusp at t = ${issue.t.toFixed(2)}`,
+    loop: (issue) => `Loop from t = ${issue.t.toFixed(2)} to ${issue.t2.toFixed(2)}`
+};
+
+function fixLabel(fix) {
+    if (fix.kind === 'parameterization') return 'Use centripetal';
+    return `Nudge P${fix.pointIndex}`;
+}
+
+function removeWarnings() {
+    warningCards.forEach(({ div }) => div.remove());
+    warningCards = [];
+}
+
+function createCard(segmentIndex, issues, onFix) {
+    const div = document.createElement('div');
+    div.style.position = 'absolute';
+    div.style.transform = 'translate(12px, -50%)';
+    div.style.background = 'rgba(60,40,0,0.92)';
+    div.style.border = '1px solid #ffaa00';
+    div.style.color = '#ffd27f';
+    div.style.padding = '4px 8px';
+    div.style.borderRadius = '6px';
+    div.style.fontSize = '0.8em';
+    div.style.zIndex = '9000';
+    div.style.maxWidth = '16em';
+    // A press on the card must not reach the window and pick a point beneath it
+    div.addEventListener('mousedown', e => e.stopPropagation());
+
+    const title = document.createElement('div');
+    title.textContent = `⚠ Segment ${segmentIndex + 1}`;
+    title.style.fontWeight = 'bold';
+    div.appendChild(title);
+    issues.forEach(issue => {
+        const line = document.createElement('div');
+        line.textContent = ISSUE_TEXT[issue.type](issue);
+        div.appendChild(line);
+    });
+
+    // The same fix can be offered by several issues of the segment
+    const fixes = new Map();
+    issues.forEach(({ fix }) => {
+        if (fix) fixes.set(`${fix.kind}:${fix.pointIndex}`, fix);
+    });
+    fixes.forEach(fix => {
+        const button = document.createElement('button');
+        button.className = 'options-button';
+        button.textContent = fixLabel(fix);
+        button.style.marginTop = '4px';
+        button.style.marginRight = '4px';
+        button.addEventListener('click', () => onFix(fix));
+        div.appendChild(button);
+    });
+    document.body.appendChild(div);
+    return div;
+}
+
+/**
+ * Replaces the warning cards with one per segment that has issues, pinned to its first issue.
+ * @param {Array<Object>} issues - Results of detectDegeneracies.
+ * @param {Object} [opts] - { visible, onFix } where onFix(fix) applies a fix.
+ */
+export function updateSegmentWarnings(issues, opts = {}) {
+    removeWarnings();
+    if (!opts.visible || !issues || issues.length === 0) return;
+    const bySegment = new Map();
+    issues.forEach(issue => {
+        if (!bySegment.has(issue.segmentIndex)) bySegment.set(issue.segmentIndex, []);
+        bySegment.get(issue.segmentIndex).push(issue);
+    });
+    bySegment.forEach((segmentIssues, segmentIndex) => {
+        const div = createCard(segmentIndex, segmentIssues, opts.onFix || (() => {}));
+        warningCards.push({ div, anchor: segmentIssues[0].point });
+    });
+}
+
+/**
+ * Moves the warning cards to their anchors on screen; called every frame,
+ * since the camera can pan, zoom and orbit under them.
+ * @param {THREE.Camera} camera
+ */
+export function positionSegmentWarnings(camera) {
+    warningCards.forEach(({ div, anchor }) => {
+        const projected = anchor.clone().project(camera);
+        // Behind the camera or outside the depth range
+        if (projected.z < -1 || projected.z > 1) {
+            div.style.display = 'none';
+            return;
+        }
+        div.style.display = '';
+        div.style.left = `${(projected.x + 1) * window.innerWidth / 2}px`;
+        div.style.top = `${(-projected.y + 1) * window.innerHeight / 2}px`;
+    });
+}
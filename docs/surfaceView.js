@@ -0,0 +1,142 @@
+// surfaceView.js
+// Draws a surface patch mesh with its draggable control grid, wireframe and iso curves.
+import { getSurfacePatches, sampleSurface, surfaceIsoCurves } from './surfaces.js';
+import { registerDraggable, unregisterDraggable } from './draggables.js';
+
+const GRID_POINT_COLOR = 0xff8800;
+const SURFACE_COLOR = 0x3388ff;
+const ISO_COLOR = 0xffff66;
+
+// Control grid meshes, kept while the grid keeps its size so a drag can go on
+let gridMeshes = [];
+let gridLines = null;
+let surfaceGroup = null;
+// The grid and callback of the last update, read by the drag handlers
+let activeGrid = null;
+let activeOnChange = null;
+
+function disposeObject(scene, obj) {
+    if (!obj) return;
+    scene.remove(obj);
+    obj.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+}
+
+function removeGridMeshes(scene) {
+    gridMeshes.flat().forEach(mesh => {
+        unregisterDraggable(mesh);
+        disposeObject(scene, mesh);
+    });
+    gridMeshes = [];
+}
+
+// Indexed triangles over a grid of samples, two per cell
+function createSurfaceGeometry(samples) {
+    const rows = samples.length;
+    const columns = samples[0].length;
+    const positions = [];
+    samples.forEach(row => row.forEach(p => positions.push(p.x, p.y, p.z)));
+    const indices = [];
+    for (let r = 0; r < rows - 1; r++) {
+        for (let c = 0; c < columns - 1; c++) {
+            const a = r * columns + c;
+            indices.push(a, a + columns, a + 1, a + 1, a + columns, a + columns + 1);
+        }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Line segments along the rows and columns of a grid of points
+function createGridLines(points, color, opacity) {
+    const segments = [];
+    points.forEach((row, r) => row.forEach((p, c) => {
+        if (c + 1 < row.length) segments.push(p, row[c + 1]);
+        if (r + 1 < points.length) segments.push(p, points[r + 1][c]);
+    }));
+    return new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(segments),
+        new THREE.LineBasicMaterial({ color, transparent: opacity < 1, opacity })
+    );
+}
+
+/**
+ * Shows (or removes) a bicubic surface over a control grid.
+ * Dragging a grid point moves grid[i][j] and calls onChange.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3[][]} grid - Control grid, grid[i][j] with i in u and j in v.
+ * @param {Object} [opts] - Optional: { visible, type ('catmullRom' or 'bezier'), alpha,
+ *   display ('shaded', 'wireframe' or 'both'), isoCount, samplesPerPatch, onChange }
+ * @returns {THREE.Vector3[][][][]} The Bezier patches drawn, empty when hidden.
+ */
+export function updateSurface(scene, grid, opts = {}) {
+    disposeObject(scene, surfaceGroup);
+    disposeObject(scene, gridLines);
+    surfaceGroup = null;
+    gridLines = null;
+    activeGrid = grid;
+    activeOnChange = opts.onChange || null;
+    const patches = opts.visible ? getSurfacePatches(grid, opts.type, { alpha: opts.alpha }) : [];
+    if (patches.length === 0) {
+        removeGridMeshes(scene);
+        return patches;
+    }
+
+    const sizeChanged = gridMeshes.length !== grid.length || gridMeshes[0].length !== grid[0].length;
+    if (sizeChanged) {
+        removeGridMeshes(scene);
+        gridMeshes = grid.map((row, i) => row.map((point, j) => {
+            const mesh = new THREE.Mesh(
+                new THREE.SphereGeometry(0.08, 12, 12),
+                new THREE.MeshBasicMaterial({ color: GRID_POINT_COLOR })
+            );
+            mesh.renderOrder = 1;
+            registerDraggable(mesh, (position) => {
+                activeGrid[i][j].copy(position);
+                if (activeOnChange) activeOnChange();
+            });
+            scene.add(mesh);
+            return mesh;
+        }));
+    }
+    gridMeshes.forEach((row, i) => row.forEach((mesh, j) => mesh.position.copy(grid[i][j])));
+    gridLines = createGridLines(grid, GRID_POINT_COLOR, 0.5);
+    scene.add(gridLines);
+
+    surfaceGroup = new THREE.Group();
+    const display = opts.display || 'shaded';
+    const samples = sampleSurface(patches, opts.samplesPerPatch || 12);
+    if (display !== 'wireframe') {
+        surfaceGroup.add(new THREE.Mesh(
+            createSurfaceGeometry(samples),
+            new THREE.MeshLambertMaterial({
+                color: SURFACE_COLOR,
+                side: THREE.DoubleSide,
+                transparent: true,
+                opacity: 0.85
+            })
+        ));
+        // Only the surface uses a lit material, so the lights live with it
+        surfaceGroup.add(new THREE.HemisphereLight(0xffffff, 0x444444, 0.6));
+        const sun = new THREE.DirectionalLight(0xffffff, 0.6);
+        sun.position.set(3, -4, 8);
+        surfaceGroup.add(sun);
+    }
+    if (display !== 'shaded') {
+        surfaceGroup.add(createGridLines(samples, SURFACE_COLOR, 0.9));
+    }
+    if (opts.isoCount > 0) {
+        const iso = surfaceIsoCurves(patches, opts.isoCount);
+        iso.u.concat(iso.v).forEach(points => surfaceGroup.add(new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: ISO_COLOR })
+        )));
+    }
+    scene.add(surfaceGroup);
+    return patches;
+}
@@ -0,0 +1,215 @@
+// surfaces.js
+// Bicubic tensor-product surface patches. A patch is a 4x4 net of Bezier control
+// points net[i][j]; i runs in u and j in v. Catmull-Rom surfaces are converted to
+// Bezier patches by converting every row of the grid, then every column.
+import { deCasteljau, deCasteljauLevels } from './curves.js';
+import { createThreeAdapter } from './core/three.js';
+
+const core = createThreeAdapter(THREE);
+
+/**
+ * Evaluates a tensor-product Bezier patch by de Casteljau: first down every
+ * column in u, which gives the control points of the curve at u running in v,
+ * then along that curve in v.
+ * @param {THREE.Vector3[][]} net - Control net, net[i][j] with i in u and j in v.
+ * @param {number} u - Parameter [0, 1].
+ * @param {number} v - Parameter [0, 1].
+ * @returns {THREE.Vector3}
+ */
+export function surfaceDeCasteljau(net, u, v) {
+    return deCasteljau(isoCurveInV(net, u), v);
+}
+
+/**
+ * Control points of the curve u = const on the patch, which runs in v.
+ * @param {THREE.Vector3[][]} net
+ * @param {number} u
+ * @returns {THREE.Vector3[]}
+ */
+export function isoCurveInV(net, u) {
+    return net[0].map((_, j) => deCasteljau(net.map(row => row[j]), u));
+}
+
+/**
+ * Control points of the curve v = const on the patch, which runs in u.
+ * @param {THREE.Vector3[][]} net
+ * @param {number} v
+ * @returns {THREE.Vector3[]}
+ */
+export function isoCurveInU(net, v) {
+    return net.map(row => deCasteljau(row, v));
+}
+
+/**
+ * Runs the surface de Casteljau algorithm and keeps every level, for drawing the construction.
+ * @param {THREE.Vector3[][]} net
+ * @param {number} u
+ * @param {number} v
+ * @returns {{columnLevels: THREE.Vector3[][][], curveInV: THREE.Vector3[], vLevels: THREE.Vector3[][], point: THREE.Vector3}}
+ *   columnLevels[j] are the levels of column j in u, vLevels those of the curve at u in v.
+ */
+export function surfaceDeCasteljauLevels(net, u, v) {
+    const columnLevels = net[0].map((_, j) => deCasteljauLevels(net.map(row => row[j]), u));
+    const curveInV = columnLevels.map(levels => levels[levels.length - 1][0]);
+    const vLevels = deCasteljauLevels(curveInV, v);
+    return { columnLevels, curveInV, vLevels, point: vLevels[vLevels.length - 1][0].clone() };
+}
+
+/**
+ * Cuts a piecewise bicubic Bezier net of (3m + 1) x (3n + 1) points into its patches.
+ * @param {THREE.Vector3[][]} net
+ * @returns {THREE.Vector3[][][][]} patches[a][b] is the 4x4 net of patch a in u and b in v;
+ *   empty when the net does not have that size.
+ */
+export function getBezierPatches(net) {
+    const rows = net.length;
+    const columns = rows > 0 ? net[0].length : 0;
+    if (rows < 4 || columns < 4 || (rows - 1) % 3 !== 0 || (columns - 1) % 3 !== 0) return [];
+    const patches = [];
+    for (let a = 0; a < (rows - 1) / 3; a++) {
+        const patchRow = [];
+        for (let b = 0; b < (columns - 1) / 3; b++) {
+            patchRow.push(net.slice(3 * a, 3 * a + 4).map(row => row.slice(3 * b, 3 * b + 4)));
+        }
+        patches.push(patchRow);
+    }
+    return patches;
+}
+
+// Joined Catmull-Rom segments as one list of 3k + 1 Bezier points
+function catmullRomToBezierPoints(points, knotIntervals) {
+    const segments = core.catmullRomSegments(points, { knotIntervals });
+    const result = [segments[0][0].clone()];
+    segments.forEach(segment => result.push(segment[1].clone(), segment[2].clone(), segment[3].clone()));
+    return result;
+}
+
+// One knot interval per span for all the given lines: the mean of |P_{k+1} - P_k|^alpha over them
+function sharedKnotIntervals(lines, alpha) {
+    return lines[0].slice(1).map((_, k) => {
+        const total = lines.reduce((sum, line) => sum + Math.pow(line[k + 1].distanceTo(line[k]), alpha), 0);
+        return total / lines.length;
+    });
+}
+
+/**
+ * Converts a grid of points interpolated by a bicubic Catmull-Rom surface into Bezier patches.
+ * The surface passes through every grid point. With alpha > 0 the knots in each direction
+ * are spaced from all the rows (or columns) together, so every row shares one knot vector
+ * and every column another, and the patches stay a tensor product.
+ * @param {THREE.Vector3[][]} grid - At least 2 x 2 points, grid[i][j] with i in u and j in v.
+ * @param {Object} [options] - { alpha } knot parameterization of the rows and columns.
+ * @returns {THREE.Vector3[][][][]}
+ */
+export function getCatmullRomPatches(grid, options = {}) {
+    if (grid.length < 2 || grid[0].length < 2) return [];
+    const alpha = options.alpha || 0;
+    const gridColumns = grid[0].map((_, j) => grid.map(row => row[j]));
+    const uIntervals = sharedKnotIntervals(gridColumns, alpha);
+    const vIntervals = sharedKnotIntervals(grid, alpha);
+    const rows = grid.map(row => catmullRomToBezierPoints(row, vIntervals));
+    const columns = rows[0].map((_, j) => catmullRomToBezierPoints(rows.map(row => row[j]), uIntervals));
+    // columns[j][i] back to net[i][j]
+    const net = columns[0].map((_, i) => columns.map(column => column[i]));
+    return getBezierPatches(net);
+}
+
+/**
+ * Converts a control grid to Bezier patches for the given surface type.
+ * @param {THREE.Vector3[][]} grid
+ * @param {string} type - 'catmullRom' or 'bezier'.
+ * @param {Object} [options] - { alpha }
+ * @returns {THREE.Vector3[][][][]}
+ */
+export function getSurfacePatches(grid, type, options = {}) {
+    return type === 'bezier' ? getBezierPatches(grid) : getCatmullRomPatches(grid, options);
+}
+
+/**
+ * Finds the patch and its local parameters for parameters over the whole surface.
+ * @param {THREE.Vector3[][][][]} patches
+ * @param {number} u - Parameter [0, 1] over all patches in u.
+ * @param {number} v - Parameter [0, 1] over all patches in v.
+ * @returns {{a: number, b: number, net: THREE.Vector3[][], u: number, v: number}}
+ */
+export function locatePatch(patches, u, v) {
+    const locate = (s, count) => {
+        const index = Math.min(Math.floor(s * count), count - 1);
+        return { index, local: s * count - index };
+    };
+    const pu = locate(u, patches.length);
+    const pv = locate(v, patches[0].length);
+    return { a: pu.index, b: pv.index, net: patches[pu.index][pv.index], u: pu.local, v: pv.local };
+}
+
+/**
+ * Samples the surface on a regular parameter grid, sharing the points on patch borders.
+ * @param {THREE.Vector3[][][][]} patches
+ * @param {number} [samplesPerPatch=12] - Intervals per patch in each direction.
+ * @returns {THREE.Vector3[][]} points[r][c], r in u and c in v.
+ */
+export function sampleSurface(patches, samplesPerPatch = 12) {
+    const rows = patches.length * samplesPerPatch + 1;
+    const columns = patches[0].length * samplesPerPatch + 1;
+    const points = [];
+    for (let r = 0; r < rows; r++) {
+        const row = [];
+        for (let c = 0; c < columns; c++) {
+            const { net, u, v } = locatePatch(patches, r / (rows - 1), c / (columns - 1));
+            row.push(surfaceDeCasteljau(net, u, v));
+        }
+        points.push(row);
+    }
+    return points;
+}
+
+/**
+ * Samples iso-parameter curves of the surface: count + 1 curves u = const and as many v = const.
+ * @param {THREE.Vector3[][][][]} patches
+ * @param {number} count - Number of intervals between the iso curves.
+ * @param {number} [samplesPerPatch=16]
+ * @returns {{u: THREE.Vector3[][], v: THREE.Vector3[][]}} u holds the curves u = const (running in v).
+ */
+export function surfaceIsoCurves(patches, count, samplesPerPatch = 16) {
+    const sampleCurve = (curveAt, patchCount) => {
+        const total = patchCount * samplesPerPatch;
+        const points = [];
+        for (let k = 0; k <= total; k++) points.push(curveAt(k / total));
+        return points;
+    };
+    const u = [];
+    const v = [];
+    for (let k = 0; k <= count; k++) {
+        const s = k / count;
+        u.push(sampleCurve(t => {
+            const { net, u: lu, v: lv } = locatePatch(patches, s, t);
+            return surfaceDeCasteljau(net, lu, lv);
+        }, patches[0].length));
+        v.push(sampleCurve(t => {
+            const { net, u: lu, v: lv } = locatePatch(patches, t, s);
+            return surfaceDeCasteljau(net, lu, lv);
+        }, patches.length));
+    }
+    return { u, v };
+}
+
+/**
+ * Creates a default control grid: a gentle bump over [-size, size]^2 in the plane z = 0.
+ * @param {number} count - Points per side.
+ * @param {number} [size=3]
+ * @returns {THREE.Vector3[][]}
+ */
+export function createSurfaceGrid(count, size = 3) {
+    const grid = [];
+    for (let i = 0; i < count; i++) {
+        const row = [];
+        for (let j = 0; j < count; j++) {
+            const x = -size + 2 * size * i / (count - 1);
+            const y = -size + 2 * size * j / (count - 1);
+            const z = 1.5 * Math.cos(x * Math.PI / (2 * size)) * Math.cos(y * Math.PI / (2 * size));
+            row.push(new THREE.Vector3(x, y, z));
+        }
+        grid.push(row);
+    }
+    return grid;
+}
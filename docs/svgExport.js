@@ -0,0 +1,93 @@
+// svgExport.js
+// Writes cubic Bezier outlines as SVG paths, for cutting and lettering tools.
+
+/**
+ * Formats a number for SVG path data.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return String(+value.toFixed(4));
+}
+
+/**
+ * Converts joined cubic Bezier segments to SVG path commands, without the initial move.
+ * The y axis is flipped, because SVG y grows downwards.
+ * @param {THREE.Vector3[][]} segments
+ * @returns {string}
+ */
+function cubicCommands(segments) {
+    const xy = (p) => `${formatNumber(p.x)} ${formatNumber(-p.y)}`;
+    return segments.map(([, c1, c2, end]) => `C ${xy(c1)} ${xy(c2)} ${xy(end)}`).join(' ');
+}
+
+/**
+ * Builds SVG path data for a stroke outline.
+ * An open outline runs out along the left side and back along the right one;
+ * a closed outline is two closed loops filled with the even-odd rule.
+ * @param {{left: THREE.Vector3[][], right: THREE.Vector3[][]}} outline - Cubic segments of both sides.
+ * @param {boolean} [closed=false] - Whether the curve is a closed loop.
+ * @returns {string} Path data for the d attribute.
+ */
+export function outlineToPathData(outline, closed = false) {
+    const { left, right } = outline;
+    if (left.length === 0 || right.length === 0) return '';
+    const move = (p) => `M ${formatNumber(p.x)} ${formatNumber(-p.y)}`;
+    const reversed = right.slice().reverse().map(segment => segment.slice().reverse());
+    if (closed) {
+        return `${move(left[0][0])} ${cubicCommands(left)} Z ${move(reversed[0][0])} ${cubicCommands(reversed)} Z`;
+    }
+    const toRight = `L ${formatNumber(reversed[0][0].x)} ${formatNumber(-reversed[0][0].y)}`;
+    return `${move(left[0][0])} ${cubicCommands(left)} ${toRight} ${cubicCommands(reversed)} Z`;
+}
+
+/**
+ * Builds SVG path data for one open chain of cubic segments, such as an offset curve.
+ * @param {THREE.Vector3[][]} segments
+ * @returns {string}
+ */
+export function curveToPathData(segments) {
+    if (segments.length === 0) return '';
+    const start = segments[0][0];
+    return `M ${formatNumber(start.x)} ${formatNumber(-start.y)} ${cubicCommands(segments)}`;
+}
+
+/**
+ * Wraps path data in a standalone SVG document sized to the given box.
+ * @param {Array<{d: string, fill?: string, stroke?: string}>} paths
+ * @param {THREE.Box3} box - World-space bounds of the paths.
+ * @param {number} [margin=0.1] - Extra space around the box, in world units.
+ * @returns {string}
+ */
+export function createSvgDocument(paths, box, margin = 0.1) {
+    const x = box.min.x - margin;
+    const y = -box.max.y - margin;
+    const width = box.max.x - box.min.x + 2 * margin;
+    const height = box.max.y - box.min.y + 2 * margin;
+    const body = paths.map(({ d, fill = 'none', stroke = 'none' }) =>
+        `  <path d="${d}" fill="${fill}" stroke="${stroke}" stroke-width="${formatNumber(width / 500)}" fill-rule="evenodd"/>`
+    ).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="${formatNumber(x)} ${formatNumber(y)} ${formatNumber(width)} ${formatNumber(height)}" width="${formatNumber(width)}in" height="${formatNumber(height)}in">
+${body}
+</svg>
+`;
+}
+
+/**
+ * Offers text as a file download.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} [mimeType='image/svg+xml']
+ */
+export function downloadText(filename, text, mimeType = 'image/svg+xml') {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
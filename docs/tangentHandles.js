@@ -0,0 +1,64 @@
+// tangentHandles.js
+// Draggable tangent handles of the Hermite spline mode.
+import { registerDraggable, unregisterDraggable } from './draggables.js';
+
+// Handle tips sit at P + T/3, which is also the inner Bezier point of the outgoing segment
+const HANDLE_SCALE = 1 / 3;
+const HANDLE_COLOR = 0x00ff88;
+
+const handles = [];
+
+function removeHandle(scene, handle) {
+    scene.remove(handle.arrow);
+    scene.remove(handle.tip);
+    unregisterDraggable(handle.tip);
+    // ArrowHelper geometries are shared between all arrows, only the materials are per arrow
+    handle.arrow.line.material.dispose();
+    handle.arrow.cone.material.dispose();
+    handle.tip.geometry.dispose();
+    handle.tip.material.dispose();
+}
+
+/**
+ * Shows one tangent arrow per control point with a draggable tip, or hides them.
+ * Dragging a tip stores the new tangent in pointParams[i].tangent.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3[]} controlPoints - Array of control points.
+ * @param {THREE.Vector3[]} tangents - Tangent of each control point.
+ * @param {Array} pointParams - Per-point parameters, kept parallel to controlPoints.
+ * @param {Object} [opts] - Optional: { visible, onChange } where onChange is called after a drag step.
+ */
+export function updateTangentHandles(scene, controlPoints, tangents, pointParams, opts = {}) {
+    const count = opts.visible ? controlPoints.length : 0;
+    while (handles.length > count) removeHandle(scene, handles.pop());
+    while (handles.length < count) {
+        const index = handles.length;
+        const arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, HANDLE_COLOR, 0.15, 0.08);
+        const tip = new THREE.Mesh(
+            new THREE.SphereGeometry(0.07, 16, 16),
+            new THREE.MeshBasicMaterial({ color: HANDLE_COLOR })
+        );
+        tip.renderOrder = 1;
+        registerDraggable(tip, (position) => {
+            const tangent = position.clone().sub(controlPoints[index]).divideScalar(HANDLE_SCALE);
+            pointParams[index].tangent = tangent;
+            if (opts.onChange) opts.onChange();
+        });
+        scene.add(arrow);
+        scene.add(tip);
+        handles.push({ arrow, tip });
+    }
+    handles.forEach(({ arrow, tip }, i) => {
+        const offset = tangents[i].clone().multiplyScalar(HANDLE_SCALE);
+        const length = offset.length();
+        arrow.position.copy(controlPoints[i]);
+        arrow.visible = length > 1e-9;
+        if (arrow.visible) {
+            arrow.setDirection(offset.clone().normalize());
+            // Keep the head no longer than the arrow itself
+            const headLength = Math.min(0.15, length * 0.5);
+            arrow.setLength(length, headLength, headLength * 0.55);
+        }
+        tip.position.copy(controlPoints[i]).add(offset);
+    });
+}
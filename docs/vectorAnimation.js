@@ -53,12 +53,14 @@ export function animateVectorTranslation(scene, line, translationVector, opts =
 
     let start = null;
     let pausedAt = null;
+    let waitingForResume = false;
     let unsub = null;
     function animateStep(ts) {
         if (start === null) start = ts;
         if (window.__globalAnimationState && window.__globalAnimationState.paused) {
             if (!pausedAt) pausedAt = ts;
-            requestAnimationFrame(animateStep);
+            // The resume subscription restarts the loop; polling as well would run two loops
+            waitingForResume = true;
             return;
         } else if (pausedAt) {
             // Adjust start time by pause duration
@@ -89,7 +91,10 @@ export function animateVectorTranslation(scene, line, translationVector, opts =
     // Subscribe to global pause state
     if (window.__globalAnimationState) {
         unsub = window.__globalAnimationState.subscribe(paused => {
-            if (!paused) requestAnimationFrame(animateStep);
+            if (!paused && waitingForResume) {
+                waitingForResume = false;
+                requestAnimationFrame(animateStep);
+            }
         });
     }
     requestAnimationFrame(animateStep);
@@ -140,12 +145,13 @@ export function animateVector(scene, from, to, opts = {}) {
 
     let start = null;
     let pausedAt = null;
+    let waitingForResume = false;
     let unsub = null;
     function animateStep(ts) {
         if (start === null) start = ts;
         if (window.__globalAnimationState && window.__globalAnimationState.paused) {
             if (!pausedAt) pausedAt = ts;
-            requestAnimationFrame(animateStep);
+            waitingForResume = true;
             return;
         } else if (pausedAt) {
             start += ts - pausedAt;
@@ -176,7 +182,10 @@ export function animateVector(scene, from, to, opts = {}) {
     // Subscribe to global pause state
     if (window.__globalAnimationState) {
         unsub = window.__globalAnimationState.subscribe(paused => {
-            if (!paused) requestAnimationFrame(animateStep);
+            if (!paused && waitingForResume) {
+                waitingForResume = false;
+                requestAnimationFrame(animateStep);
+            }
         });
     }
     requestAnimationFrame(animateStep);
@@ -196,6 +205,7 @@ export function animateVector(scene, from, to, opts = {}) {
 
 /**
  * Animate scaling a line from its start point, growing or shrinking its endpoint to a target length along a direction.
+ * A zero-length line is left as it is, since it has no direction, and completes on the next frame.
  * @param {THREE.Scene} scene - The Three.js scene.
  * @param {THREE.Line} line - The line to animate (must be in the scene).
  * @param {number} targetLength - The length to animate to.
@@ -215,7 +225,11 @@ export function animateVectorScalingTo(scene, line, targetLength, opts = {}) {
     const pt2 = new THREE.Vector3(points[3], points[4], points[5]);
     const lineLen = pt2.clone().sub(pt1).length();
     if (lineLen === 0) {
-        return line; // No animation if line has no length
+        // A zero-length line has no direction to scale along; callers still chain the next phase on onComplete
+        requestAnimationFrame(() => {
+            if (onComplete) onComplete(line);
+        });
+        return line;
     }
     if (Math.abs(targetLength) === Math.abs(lineLen)) {
         let start = null;
@@ -271,29 +285,26 @@ export function animateVectorScalingTo(scene, line, targetLength, opts = {}) {
         }
     }
 
-    let dir = pt2.clone().sub(pt1);
-    const initialLen = dir.length();
-    if (initialLen === 0) {
-        // If the line is a point, use +X or -X based on targetLength
-        dir.set(targetLength >= 0 ? 1 : -1, 0, 0);
-    } else {
-        dir.normalize();
-    }
+    const dir = pt2.clone().sub(pt1).normalize();
 
     let start = null;
     let pausedAt = null;
+    let waitingForResume = false;
     let unsub = null;
     // Always subscribe to globalAnimationState immediately, so pause works on first animation
     if (window.__globalAnimationState) {
         unsub = window.__globalAnimationState.subscribe(paused => {
-            if (!paused) requestAnimationFrame(animateStep);
+            if (!paused && waitingForResume) {
+                waitingForResume = false;
+                requestAnimationFrame(animateStep);
+            }
         });
     }
     function animateStep(ts) {
         if (start === null) start = ts;
         if (window.__globalAnimationState && window.__globalAnimationState.paused) {
             if (!pausedAt) pausedAt = ts;
-            requestAnimationFrame(animateStep);
+            waitingForResume = true;
             return;
         } else if (pausedAt) {
             // Adjust start time by pause duration
@@ -304,8 +315,8 @@ export function animateVectorScalingTo(scene, line, targetLength, opts = {}) {
         let t = Math.min(elapsed / duration, 1);
         // Cubic ease-in-out interpolation for t
         t = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-        // Interpolate the length from initialLen to targetLength (can be negative)
-        const currentLen = initialLen + (targetLength - initialLen) * t;
+        // Interpolate the length from lineLen to targetLength (can be negative)
+        const currentLen = lineLen + (targetLength - lineLen) * t;
         const currentTo = pt1.clone().add(dir.clone().multiplyScalar(currentLen));
         line.geometry.setFromPoints([pt1, currentTo]);
         updateArrow(pt1, currentTo);
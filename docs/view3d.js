@@ -0,0 +1,106 @@
+// view3d.js
+// 3D editing mode: perspective camera, orbit navigation, grid and axes,
+// and the geometry for dragging points in space.
+
+// Directions of the locked drag axes
+const AXIS_DIRECTIONS = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+// Half-length of the segment standing in for an infinite axis line
+const AXIS_EXTENT = 1e4;
+
+/**
+ * Creates the perspective camera of the 3D mode, looking at the origin from above
+ * the drawing plane with z pointing up, so the 2D curve keeps its orientation.
+ * @param {number} aspect - Width / height of the viewport.
+ * @returns {THREE.PerspectiveCamera}
+ */
+export function createPerspectiveCamera(aspect) {
+    const camera = new THREE.PerspectiveCamera(45, aspect, 0.1, 1000);
+    camera.up.set(0, 0, 1);
+    resetPerspectiveCamera(camera);
+    return camera;
+}
+
+/**
+ * Moves the perspective camera back to its initial view.
+ * @param {THREE.PerspectiveCamera} camera
+ */
+export function resetPerspectiveCamera(camera) {
+    camera.position.set(0, -9, 9);
+    camera.lookAt(0, 0, 0);
+    camera.updateProjectionMatrix();
+}
+
+/**
+ * Creates orbit/pan/zoom navigation for the camera, or null when the OrbitControls
+ * script from the three.js examples is not loaded.
+ * @param {THREE.Camera} camera
+ * @param {HTMLElement} domElement
+ * @returns {THREE.OrbitControls|null}
+ */
+export function createOrbitControls(camera, domElement) {
+    if (typeof THREE.OrbitControls !== 'function') return null;
+    const controls = new THREE.OrbitControls(camera, domElement);
+    controls.enableDamping = false;
+    controls.screenSpacePanning = true;
+    return controls;
+}
+
+let spaceHelpersGroup = null;
+
+/**
+ * Shows (or hides) a grid on the drawing plane z = 0 and the coordinate axes.
+ * @param {THREE.Scene} scene
+ * @param {Object} [opts] - Optional: { visible, size, divisions }
+ */
+export function updateSpaceHelpers(scene, opts = {}) {
+    if (spaceHelpersGroup) {
+        scene.remove(spaceHelpersGroup);
+        spaceHelpersGroup.traverse(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+        });
+        spaceHelpersGroup = null;
+    }
+    if (!opts.visible) return;
+    const size = opts.size || 20;
+    spaceHelpersGroup = new THREE.Group();
+    const grid = new THREE.GridHelper(size, opts.divisions || size, 0x666666, 0x333333);
+    // GridHelper lies in the xz plane
+    grid.rotation.x = Math.PI / 2;
+    grid.renderOrder = -3;
+    spaceHelpersGroup.add(grid);
+    spaceHelpersGroup.add(new THREE.AxesHelper(size / 4));
+    scene.add(spaceHelpersGroup);
+}
+
+/**
+ * Finds where a point dragged from start should go for a pointer ray.
+ * Without an axis the point moves on the plane through start facing the camera;
+ * with an axis it moves along the line through start parallel to that axis,
+ * to the spot closest to the ray.
+ * @param {THREE.Ray} ray - Pointer ray in world space.
+ * @param {THREE.Camera} camera
+ * @param {THREE.Vector3} start - Position of the point when the drag started.
+ * @param {string} [axis='view'] - 'view', 'x', 'y' or 'z'.
+ * @returns {THREE.Vector3|null} null when the ray misses the plane.
+ */
+export function dragTarget(ray, camera, start, axis = 'view') {
+    const direction = AXIS_DIRECTIONS[axis];
+    if (direction) {
+        const onAxis = new THREE.Vector3();
+        ray.distanceSqToSegment(
+            start.clone().addScaledVector(direction, -AXIS_EXTENT),
+            start.clone().addScaledVector(direction, AXIS_EXTENT),
+            undefined,
+            onAxis
+        );
+        return onAxis;
+    }
+    const normal = camera.getWorldDirection(new THREE.Vector3());
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, start);
+    return ray.intersectPlane(plane, new THREE.Vector3());
+}
@@ -0,0 +1,21 @@
+// viewport.js
+// Conversions between screen pixels and world units for the active camera.
+
+/**
+ * Returns the size of one screen pixel in world units.
+ * For a perspective camera this depends on the depth, taken at point
+ * (the origin when omitted).
+ * @param {THREE.Camera} camera - The orthographic or perspective camera.
+ * @param {number} viewportHeight - Height of the canvas in pixels.
+ * @param {THREE.Vector3} [point] - Where the size is measured, for perspective cameras.
+ * @returns {number}
+ */
+export function worldUnitsPerPixel(camera, viewportHeight, point) {
+    if (!camera || !viewportHeight) return 0;
+    if (camera.isPerspectiveCamera) {
+        const depth = camera.position.distanceTo(point || new THREE.Vector3());
+        const visibleHeight = 2 * depth * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        return visibleHeight / (camera.zoom || 1) / viewportHeight;
+    }
+    return (camera.top - camera.bottom) / (camera.zoom || 1) / viewportHeight;
+}
@@ -1,5 +1,22 @@
 import { showLatexFormula, showLatexCornerBox, PausableTimeout, showLatexLabelsForControlPoints } from './latexBox.js';
 import { camera as appCamera, scene as appScene } from './app.js';
+import {
+    subdivideBezier,
+    deCasteljau,
+    deCasteljauLevels,
+    rationalDeCasteljau,
+    rationalDeCasteljauLevels,
+    hasNonUnitWeights,
+    toHomogeneous,
+    fromHomogeneous,
+    catmullRomInterpolate,
+    catmullRomSegmentCount,
+    catmullRomSegmentIndices
+} from './curves.js';
+import { animateCatmullRomControlPoint } from './catmullRomAnimation.js';
+import { createConvexHullObject } from './overlays.js';
+import { surfaceDeCasteljauLevels } from './surfaces.js';
+import { showBasisPlot } from './basisPlot.js';
 /**
  * Show LaTeX labels ('P₀', 'P₁', ...) under all Bezier control points if there are 3 or 4.
  * @param {THREE.Vector3[]} bezierPoints - The control points.
@@ -46,20 +63,29 @@ export function setCurveLine(line) {
  * @param {THREE.Scene} scene
  * @param {THREE.Vector3[]} controlPoints
  * @param {number} t
- * @param {Object} [opts] - Optional: { color, pointSize }
+ * @param {Object} [opts] - Optional: { color, pointSize, weights, maxLevel, levelColors }
+ *   where maxLevel stops after that level (the curve point is level n) and levelColors
+ *   colours every level like the triangle scheme.
  * @returns {THREE.Group} - Group containing visualization objects.
  */
 export function visualizeDeCasteljau(scene, controlPoints, t, opts = {}) {
     const group = new THREE.Group();
-    let points = controlPoints.map(p => p.clone());
     const color = opts.color || 0x00ff00; // green for Bezier construction
     const pointSize = opts.pointSize || 0.08;
+    // Rational curves interpolate in homogeneous coordinates, levels are drawn projected
+    const levels = hasNonUnitWeights(opts.weights)
+        ? rationalDeCasteljauLevels(controlPoints, opts.weights, t).levels
+        : deCasteljauLevels(controlPoints, t);
+    const maxLevel = opts.maxLevel !== undefined ? opts.maxLevel : levels.length - 1;
+    let points = levels[0];
+    let level = 0;
 
-    while (points.length > 1) {
+    while (points.length > 1 && level <= maxLevel) {
+        const levelColour = opts.levelColors ? levelColor(level) : color;
         // Draw points
         points.forEach(pt => {
             const geom = new THREE.SphereGeometry(pointSize, 16, 16);
-            const mat = new THREE.MeshBasicMaterial({ color });
+            const mat = new THREE.MeshBasicMaterial({ color: levelColour });
             const mesh = new THREE.Mesh(geom, mat);
             mesh.position.copy(pt);
             group.add(mesh);
@@ -67,141 +93,122 @@ export function visualizeDeCasteljau(scene, controlPoints, t, opts = {}) {
         // Draw lines
         for (let i = 0; i < points.length - 1; i++) {
             const geom = new THREE.BufferGeometry().setFromPoints([points[i], points[i + 1]]);
-            const mat = new THREE.LineBasicMaterial({ color });
+            const mat = new THREE.LineBasicMaterial({ color: levelColour });
             const line = new THREE.Line(geom, mat);
             group.add(line);
         }
         // Next level
-        const nextPoints = [];
-        for (let i = 0; i < points.length - 1; i++) {
-            nextPoints.push(points[i].clone().lerp(points[i + 1], t));
-        }
-        points = nextPoints;
+        points = levels[++level];
+    }
+    // Final interpolated point, unless stopped at an earlier level
+    if (points.length === 1 && level <= maxLevel) {
+        const finalGeom = new THREE.SphereGeometry(pointSize * 1.2, 16, 16);
+        const finalMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
+        const finalMesh = new THREE.Mesh(finalGeom, finalMat);
+        finalMesh.position.copy(points[0]);
+        group.add(finalMesh);
     }
-    // Final interpolated point
-    const finalGeom = new THREE.SphereGeometry(pointSize * 1.2, 16, 16);
-    const finalMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
-    const finalMesh = new THREE.Mesh(finalGeom, finalMat);
-    finalMesh.position.copy(points[0]);
-    group.add(finalMesh);
 
     scene.add(group);
     return group;
 }
 
+// Colours of the de Casteljau levels: red points, then orange, blue, green, magenta,
+// and hues spread by the golden angle for deeper levels
+const LEVEL_COLORS = [0xff0000, 0xff8800, 0x0077ff, 0x00cc44, 0xcc00cc];
+
+/**
+ * Colour of the points of one de Casteljau level, for any number of levels.
+ * @param {number} level - 0 for the control points.
+ * @returns {number} Hex colour.
+ */
+function levelColor(level) {
+    if (level < LEVEL_COLORS.length) return LEVEL_COLORS[level];
+    const hue = ((level - LEVEL_COLORS.length) * 137.508 + 50) % 360;
+    return new THREE.Color().setHSL(hue / 360, 0.85, 0.6).getHex();
+}
+
+const toCssColor = (hex) => '#' + hex.toString(16).padStart(6, '0');
+
+// Letters for the rows of the triangle, as far as they go; deeper schemes use P^{(r)}_i
+const LEVEL_LETTERS = 'PQRSTUVWXYZ';
+
+function levelPointLatex(level, i, degree) {
+    if (degree < LEVEL_LETTERS.length) return `${LEVEL_LETTERS[level]}_{${i}}`;
+    return `P^{(${level})}_{${i}}`;
+}
+
 // Show the de Casteljau triangle scheme as LaTeX overlays with colored dots
 function showTriangleLatex(degree, duration, middlePColor = null) {
-    // Triangle scheme in LaTeX (for up to cubic, generalizes for more)
-    let triangleLatex = [];
-    let trianglePoints = [];
-    if (degree === 2) {
-        triangleLatex = [
-            'P_0 \\qquad P_1 \\qquad P_2',
-            '\\qquad Q_0 \\qquad\\qquad Q_1',
-            '\\qquad\\qquad R_0'
-        ];
-        trianglePoints = [
-            [0,1,2], // P_0, P_1, P_2
-            [0,1],   // Q_0, Q_1
-            [0]      // R_0
-        ];
-    } else if (degree === 3) {
-        triangleLatex = [
-            'P_0 \\qquad P_1 \\qquad P_2 \\qquad P_3',
-            '\\qquad Q_0 \\qquad Q_1 \\qquad Q_2',
-            '\\qquad\\qquad R_0 \\qquad R_1',
-            '\\qquad\\qquad\\qquad S_0'
-        ];
-        trianglePoints = [
-            [0,1,2,3], // P_0..P_3
-            [0,1,2],   // Q_0..Q_2
-            [0,1],     // R_0, R_1
-            [0]        // S_0
-        ];
-    } else {
-        // Generic placeholder for higher degrees
-        triangleLatex = ["\\text{de Casteljau triangle scheme}"];
-        trianglePoints = [[]];
-        middlePColor = null;
-    }
+    const old = document.getElementById('triangle-scheme');
+    if (old) old.remove();
+    if (degree < 1) return;
+    // Every row is shifted by half a cell, so each point sits between the two it comes from
+    const cellWidth = degree < 10 ? 3.2 : 4.2;
+    const box = document.createElement('div');
+    box.id = 'triangle-scheme';
+    box.style.position = 'fixed';
+    box.style.right = '2em';
+    box.style.bottom = '2em';
+    // Long rows scroll instead of running off the screen or under the Pause button
+    box.style.maxWidth = '45vw';
+    box.style.maxHeight = '10.5em';
+    box.style.overflow = 'auto';
+    box.style.background = 'rgba(30,30,30,0.95)';
+    box.style.color = '#fff';
+    box.style.padding = '6px 16px';
+    box.style.borderRadius = '10px';
+    box.style.boxShadow = '0 2px 12px rgba(0,0,0,0.3)';
+    box.style.fontSize = degree <= 4 ? '1.2em' : degree <= 7 ? '1em' : '0.85em';
+    box.style.zIndex = '10001';
+    box.style.opacity = '1';
+    box.addEventListener('mousedown', e => e.stopPropagation());
 
-    import('./latexBox.js').then(mod => {
-        // Remove any previous boxes
-        for (let i = 0; i < 6; ++i) {
-            const old = document.getElementById('triangle-line-' + i);
-            if (old) old.remove();
+    for (let level = 0; level <= degree; level++) {
+        const row = document.createElement('div');
+        row.id = 'triangle-line-' + level;
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.whiteSpace = 'nowrap';
+        row.style.height = '1.9em';
+        const label = document.createElement('span');
+        label.style.display = 'inline-block';
+        label.style.width = '3.5em';
+        label.style.flex = 'none';
+        label.style.color = '#aaa';
+        label.style.fontSize = '0.75em';
+        label.textContent = `r = ${level}`;
+        row.appendChild(label);
+        const indent = document.createElement('span');
+        indent.style.display = 'inline-block';
+        indent.style.flex = 'none';
+        indent.style.width = `${level * cellWidth / 2}em`;
+        row.appendChild(indent);
+        for (let i = 0; i <= degree - level; i++) {
+            // The inner red points can stand for other points, e.g. the yellow Bezier points of a segment
+            const inner = level === 0 && i !== 0 && i !== degree;
+            const color = inner && middlePColor ? middlePColor : toCssColor(levelColor(level));
+            const cell = document.createElement('span');
+            cell.style.display = 'inline-block';
+            cell.style.flex = 'none';
+            cell.style.width = `${cellWidth}em`;
+            cell.innerHTML = `<span style="display:inline-block;width:0.9em;height:0.9em;border-radius:50%;background:${color};margin-right:0.4em;vertical-align:middle;"></span>`
+                + `\\(${levelPointLatex(level, i, degree)}\\)`;
+            row.appendChild(cell);
         }
-        triangleLatex.forEach((line, idx) => {
-            let box = document.createElement('div');
-            box.id = 'triangle-line-' + idx;
-            box.style.position = 'fixed';
-            box.style.right = '2em';
-            box.style.bottom = `calc(10em - ${idx * 2.2}em)`;
-            box.style.background = 'rgba(30,30,30,0.95)';
-            box.style.color = '#fff';
-            box.style.padding = '6px 16px';
-            box.style.borderRadius = '10px';
-            box.style.boxShadow = '0 2px 12px rgba(0,0,0,0.3)';
-            box.style.fontSize = '1.2em';
-            box.style.zIndex = '10001';
-            box.style.minWidth = '120px';
-            box.style.textAlign = 'center';
-            box.style.pointerEvents = 'none';
-            box.style.opacity = '1';
-            // Add colored points left of the LaTeX
-            let pointsHtml = '';
-            const colors = [
-                '#ff0000', // for P row (overridden below)
-                '#ff8800', // yellow
-                '#0077ff', // blue
-                '#00cc44', // green
-                '#cc00cc'  // magenta
-            ];
-            if (trianglePoints[idx]) {
-                trianglePoints[idx].forEach((ptIdx, j) => {
-                    let color = colors[idx] || '#fff';
-                    // For the first row (P row), use middlePColor only for middle points (not first/last)
-                    if (
-                        idx === 0 &&
-                        degree > 1 && degree < 4 &&
-                        middlePColor &&
-                        j !== 0 && j !== trianglePoints[idx].length - 1
-                    ) {
-                        color = middlePColor;
-                    }
-                    pointsHtml += `<span style="display:inline-block;width:0.9em;height:0.9em;border-radius:50%;background:${color};margin-right:0.4em;vertical-align:middle;"></span>`;
-                });
-            }
-            box.innerHTML = pointsHtml + `\\(${line}\\)`;
-            document.body.appendChild(box);
-            if (window.MathJax && window.MathJax.typesetPromise) {
-                MathJax.typesetPromise([box]);
-            }
-            if (duration) {
-                new PausableTimeout(() => { box.remove(); }, duration + 200);
-            }
-        });
-    });
-}
-
-/**
- * Animates de Casteljau's algorithm from t=0 to t=1.
- * Calls a callback with the current t and visualization group.
- * @param {THREE.Scene} scene
- * @param {THREE.Vector3[]} controlPoints
- * @param {Function} onUpdate - (t, group) => void
- * @param {number} [duration=2000] - Animation duration in ms
- */
-export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duration = 2000, middlePColor) {
-    // Remove any previous construction helpers
-    let helpers = [];
-    function clearHelpers() {
-        helpers.forEach(obj => scene.remove(obj));
-        helpers = [];
-        // Do NOT remove curveSegmentLine here; it should only be removed on user interaction.
+        box.appendChild(row);
+    }
+    document.body.appendChild(box);
+    if (window.MathJax && window.MathJax.typesetPromise) {
+        MathJax.typesetPromise([box]);
     }
+    if (duration) {
+        new PausableTimeout(() => { box.remove(); }, duration + 200);
+    }
+}
 
-    // --- GLOBAL ANIMATION PAUSE/RESUME STATE ---
+// --- GLOBAL ANIMATION PAUSE/RESUME STATE ---
+function ensureGlobalAnimationState() {
     if (!window.__globalAnimationState) {
         window.__globalAnimationState = {
             paused: false,
@@ -220,22 +227,25 @@ export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duratio
             }
         };
     }
-    // --- Pause Button Show/Hide Utility ---
-    function setPauseButtonEnabled(enabled) {
-        const btn = document.getElementById('global-stop-btn');
-        if (!btn) return;
-        if (enabled) {
-            btn.style.display = '';
-            btn.disabled = false;
-        } else {
-            btn.style.display = 'none';
-            btn.disabled = true;
-        }
-        // Always reset text to 'Pause' when enabling
-        if (enabled) btn.textContent = window.__globalAnimationState && window.__globalAnimationState.paused ? 'Resume' : 'Pause';
+}
+
+// --- Pause Button Show/Hide Utility ---
+function setPauseButtonEnabled(enabled) {
+    const btn = document.getElementById('global-stop-btn');
+    if (!btn) return;
+    if (enabled) {
+        btn.style.display = '';
+        btn.disabled = false;
+    } else {
+        btn.style.display = 'none';
+        btn.disabled = true;
     }
+    // Always reset text to 'Pause' when enabling
+    if (enabled) btn.textContent = window.__globalAnimationState && window.__globalAnimationState.paused ? 'Resume' : 'Pause';
+}
 
-    // Remove dynamic creation of the pause button, and instead only attach logic if the button exists
+// Only attach logic if the pause button exists
+function bindGlobalPauseButton() {
     const globalPauseBtn = document.getElementById('global-stop-btn');
     if (globalPauseBtn) {
         globalPauseBtn.onclick = () => {
@@ -244,6 +254,34 @@ export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duratio
             globalPauseBtn.textContent = state.paused ? 'Resume' : 'Pause';
         };
     }
+}
+
+// How long the construction helpers stay on screen after a sweep reaches t = 1
+export const HELPER_CLEAR_DELAY_MS = 1200;
+
+/**
+ * Animates de Casteljau's algorithm from t=0 to t=1, with the Bernstein basis plotted
+ * alongside and a halo around every control point growing with its weight at t.
+ * Calls a callback on every frame with the current t and de Casteljau levels.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3[]} controlPoints
+ * @param {Function} onUpdate - (t, levels) => void
+ * @param {number} [duration=2000] - Animation duration in ms
+ * @param {string} [middlePColor] - Colour of the inner P points in the triangle scheme
+ * @param {number[]} [weights] - Control point weights; non-unit weights animate the rational construction
+ * @returns {Promise<void>} Resolves when t reaches 1; the helpers are cleared a moment later.
+ */
+export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duration = 2000, middlePColor, weights = null) {
+    // Remove any previous construction helpers
+    let helpers = [];
+    function clearHelpers() {
+        helpers.forEach(obj => scene.remove(obj));
+        helpers = [];
+        // Do NOT remove curveSegmentLine here; it should only be removed on user interaction.
+    }
+
+    ensureGlobalAnimationState();
+    bindGlobalPauseButton();
 
     // --- Animation state for global stop/resume ---
     let animationFrameId = null;
@@ -300,13 +338,17 @@ export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duratio
         setPauseButtonEnabled(true);
         clearHelpers();
         const n = controlPoints.length - 1;
-        const pointColors = [0x888888, 0xff8800, 0x0077ff, 0x00cc44, 0xcc00cc];
         const steps = 100;
+        const rational = hasNonUnitWeights(weights);
         const bezierPoints = [];
         for (let i = 0; i <= steps; i++) {
+            let t = i / steps;
+            if (rational) {
+                bezierPoints.push(rationalDeCasteljau(controlPoints, weights, t));
+                continue;
+            }
             // de Casteljau for t
             let pts = controlPoints.map(p => p.clone());
-            let t = i / steps;
             for (let k = 1; k < pts.length; ++k) {
                 for (let j = 0; j < pts.length - k; ++j) {
                     pts[j].lerp(pts[j + 1], t);
@@ -317,12 +359,16 @@ export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duratio
         // Show Bernstein polynomial formula during the animation
         // Use the actual degree for the formula
         const degree = controlPoints.length - 1;
-        const bernsteinLatex =
-            `B_{${degree}}(t) = \\sum_{i=0}^{${degree}} \\binom{${degree}}{i} (1-t)^{${degree}-i} t^{i} \\mathbf{P}_{i}`;
+        const bernstein = `\\binom{${degree}}{i} (1-t)^{${degree}-i} t^{i}`;
+        const bernsteinLatex = rational
+            ? `R_{${degree}}(t) = \\cfrac{\\sum_{i=0}^{${degree}} ${bernstein} w_{i} \\mathbf{P}_{i}}{\\sum_{i=0}^{${degree}} ${bernstein} w_{i}}` +
+              `,\\quad (w_i) = (${weights.map(w => +w.toFixed(3)).join(', ')})`
+            : `B_{${degree}}(t) = \\sum_{i=0}^{${degree}} ${bernstein} \\mathbf{P}_{i}`;
 
         // Animate t from 0 to 1 over the given duration
         let start = null;
         let prevCurveLine = null;
+        let basisPlot = null;
         function animateFrame(ts) {
             // Use global pause state
             if (window.__globalAnimationState && window.__globalAnimationState.paused) {
@@ -339,6 +385,7 @@ export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duratio
                 showLatexFormula(bernsteinLatex, duration);
                 // Show triangle scheme as separate lines at bottom-right
                 showTriangleLatex(degree, duration, middlePColor);
+                basisPlot = showBasisPlot(degree, { weights: rational ? weights : null });
             }
             let elapsed = ts - start;
             animationElapsed = elapsed;
@@ -353,18 +400,26 @@ export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duratio
                 scene.add(line);
                 helpers.push(line);
             }
+            // Shade the convex hull of the control points: the curve never leaves it
+            const hull = createConvexHullObject(controlPoints, { color: 0x6688aa, opacity: 0.12 });
+            scene.add(hull);
+            helpers.push(hull);
             // Draw all levels for current t
-            let levels = [controlPoints.map(p => p.clone())];
+            // (rational curves interpolate in homogeneous coordinates and draw the projections)
+            let homogeneousLevels = null;
+            let levels;
+            if (rational) {
+                ({ levels, homogeneousLevels } = rationalDeCasteljauLevels(controlPoints, weights, t));
+            } else {
+                levels = deCasteljauLevels(controlPoints, t);
+            }
             for (let level = 1; level <= n; ++level) {
-                const prev = levels[levels.length - 1];
-                const next = [];
+                const prev = levels[level - 1];
+                const next = levels[level];
                 for (let i = 0; i < prev.length - 1; ++i) {
-                    // Interpolated point
-                    const interp = prev[i].clone().lerp(prev[i + 1], t);
-                    next.push(interp);
-                    // Draw two lines: first part pink (ratio t), second part orange (ratio 1-t)
-                    const mid = prev[i].clone().lerp(prev[i + 1], t);
-                    // First segment: prev[i] to mid (pink, length t)
+                    // Interpolated point, splitting the edge in ratio t : (1 - t) for polynomial curves
+                    const mid = next[i];
+                    // First segment: prev[i] to mid (pink)
                     if (t > 0) {
                         const geom1 = new THREE.BufferGeometry().setFromPoints([prev[i], mid]);
                         const mat1 = new THREE.LineBasicMaterial({ color: 0xcc00cc, linewidth: 3 });
@@ -372,7 +427,7 @@ export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duratio
                         scene.add(line1);
                         helpers.push(line1);
                     }
-                    // Second segment: mid to prev[i+1] (orange, length 1-t)
+                    // Second segment: mid to prev[i+1] (orange)
                     if (t < 1) {
                         const geom2 = new THREE.BufferGeometry().setFromPoints([mid, prev[i + 1]]);
                         const mat2 = new THREE.LineBasicMaterial({ color: 0xff8800, linewidth: 3 });
@@ -385,14 +440,28 @@ export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duratio
                 for (let i = 0; i < next.length; ++i) {
                     const pt = new THREE.Mesh(
                         new THREE.SphereGeometry(0.07, 16, 16),
-                        new THREE.MeshBasicMaterial({ color: pointColors[level] || 0xffffff })
+                        new THREE.MeshBasicMaterial({ color: levelColor(level) })
                     );
                     pt.position.copy(next[i]);
                     scene.add(pt);
                     helpers.push(pt);
                 }
-                levels.push(next);
             }
+            if (homogeneousLevels) {
+                helpers.push(...drawHomogeneousConstruction(scene, homogeneousLevels, levels[n][0]));
+            }
+            // Halo around each control point, as large and opaque as its share of the curve point
+            basisPlot.update(t).forEach((basisWeight, i) => {
+                const halo = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.1 + 0.25 * basisWeight, 16, 16),
+                    new THREE.MeshBasicMaterial({ color: 0xff0000, transparent: true, opacity: 0.1 + 0.5 * basisWeight, depthWrite: false })
+                );
+                halo.position.copy(controlPoints[i]);
+                halo.renderOrder = -1;
+                scene.add(halo);
+                helpers.push(halo);
+            });
+            if (onUpdate) onUpdate(t, levels);
             // Draw Bezier curve so far
             const curveSoFar = bezierPoints.slice(0, frame + 1);
             const curveGeom = new THREE.BufferGeometry().setFromPoints(curveSoFar);
@@ -416,17 +485,69 @@ export function _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duratio
             if (t < 1) {
                 animationFrameId = requestAnimationFrame(animateFrame);
             } else {
-                if (onUpdate) onUpdate(1, null);
-                new PausableTimeout(clearHelpers, 1200);
+                new PausableTimeout(() => {
+                    clearHelpers();
+                    basisPlot.remove();
+                }, HELPER_CLEAR_DELAY_MS);
                 setPauseButtonEnabled(false);
                 // Remove stop button at end
                 const btn = document.getElementById('decasteljau-stop-btn');
                 if (btn) btn.remove();
+                // A later animation must not show labels for these points when paused
+                if (unsub) unsub();
+                finished();
             }
         }
     animationFrameId = requestAnimationFrame(animateFrame);
     }
-    animateDeCasteljauVideoStyle();
+    let finished;
+    return new Promise(resolve => {
+        finished = resolve;
+        animateDeCasteljauVideoStyle();
+    });
+}
+
+/**
+ * Draws the homogeneous side of a rational de Casteljau step: the lifted control
+ * polygon w_i P_i, its interpolation levels and the ray from the origin through
+ * the lifted curve point, on which the projected curve point lies.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector4[][]} homogeneousLevels
+ * @param {THREE.Vector3} curvePoint - Projected curve point.
+ * @returns {THREE.Object3D[]} Added objects, for removal.
+ */
+function drawHomogeneousConstruction(scene, homogeneousLevels, curvePoint) {
+    const objects = [];
+    const color = 0x8866ff;
+    const lift = (h) => new THREE.Vector3(h.x, h.y, h.z);
+    homogeneousLevels.forEach((level, k) => {
+        const points = level.map(lift);
+        if (points.length > 1) {
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color, transparent: true, opacity: k === 0 ? 0.8 : 0.4 })
+            );
+            objects.push(line);
+        }
+        points.forEach(pt => {
+            const mesh = new THREE.Mesh(
+                new THREE.SphereGeometry(k === 0 ? 0.06 : 0.04, 12, 12),
+                new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8 })
+            );
+            mesh.position.copy(pt);
+            objects.push(mesh);
+        });
+    });
+    const lifted = lift(homogeneousLevels[homogeneousLevels.length - 1][0]);
+    const far = lifted.length() > curvePoint.length() ? lifted : curvePoint;
+    const ray = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), far]),
+        new THREE.LineDashedMaterial({ color, dashSize: 0.1, gapSize: 0.07 })
+    );
+    ray.computeLineDistances();
+    objects.push(ray);
+    objects.forEach(obj => scene.add(obj));
+    return objects;
 }
 
 // --- Global Animation Lock ---
@@ -453,11 +574,278 @@ if (!window.__globalAnimationLock) {
 }
 
 // Wrap animation entry points to use the lock
-export async function animateDeCasteljau(scene, controlPoints, onUpdate, duration = 2000, middlePColor = '#ff0000') {
+export async function animateDeCasteljau(scene, controlPoints, onUpdate, duration = 2000, middlePColor = '#ff0000', weights = null) {
+    await window.__globalAnimationLock.acquire();
+    try {
+        await _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duration, middlePColor, weights);
+    } finally {
+        window.__globalAnimationLock.release();
+    }
+}
+
+/**
+ * Animates the construction of a whole Catmull-Rom spline, one segment after the other:
+ * the two inner Bezier points are built from the tangents like the right-click segment
+ * animation does, then the segment is swept with de Casteljau's algorithm. The swept
+ * segments stay, so the curve grows from the first point to the last.
+ * The speed is read again before every phase, so the slider applies while it runs.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3[]} controlPoints
+ * @param {Object} [opts] - Optional: { closed, alpha, pointParams, getSpeed, pointMeshes }
+ *   where getSpeed() returns the speed multiplier and pointMeshes collects the built points.
+ * @returns {Promise<void>} Resolves when the last segment has been swept.
+ */
+export async function animateCatmullRomSpline(scene, controlPoints, opts = {}) {
+    await window.__globalAnimationLock.acquire();
+    try {
+        ensureGlobalAnimationState();
+        bindGlobalPauseButton();
+        const getSpeed = opts.getSpeed || (() => 1);
+        const alpha = opts.alpha || 0;
+        const pointMeshes = opts.pointMeshes || [];
+        const count = catmullRomSegmentCount(controlPoints.length, opts.closed);
+        for (let i = 0; i < count; i++) {
+            const indices = catmullRomSegmentIndices(controlPoints.length, i, opts.closed);
+            const [P0, P1, P2, P3] = indices.map(k => controlPoints[k]);
+            const tcb1 = opts.pointParams ? opts.pointParams[indices[1]] : null;
+            const tcb2 = opts.pointParams ? opts.pointParams[indices[2]] : null;
+            // The sweep hides the Pause button when it ends, the next segment shows it again
+            setPauseButtonEnabled(true);
+            await animateCatmullRomControlPoint(scene, P0, P1, P2, pointMeshes, i, 3000 / getSpeed(), 1, alpha, tcb1);
+            await animateCatmullRomControlPoint(scene, P3, P2, P1, pointMeshes, i + 1, 3000 / getSpeed(), 2, alpha, tcb2);
+            const [, b1, b2] = catmullRomInterpolate(P0, P1, P2, P3, { alpha, tcb1, tcb2 });
+            await _orig_animateDeCasteljau(scene, [P1, b1, b2, P2], null, 5000 / getSpeed(), '#ffff00');
+        }
+    } finally {
+        setPauseButtonEnabled(false);
+        window.__globalAnimationLock.release();
+    }
+}
+
+// Remove an object from the scene and free its geometries and materials
+function disposeObject(scene, obj) {
+    if (!obj) return;
+    scene.remove(obj);
+    obj.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+}
+
+// Draw a control polygon (lines and points) as a group
+function createControlPolygon(points, color, pointSize = 0.09) {
+    const group = new THREE.Group();
+    group.add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color, linewidth: 3 })
+    ));
+    points.forEach(pt => {
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(pointSize, 16, 16),
+            new THREE.MeshBasicMaterial({ color })
+        );
+        mesh.position.copy(pt);
+        group.add(mesh);
+    });
+    return group;
+}
+
+/**
+ * Animates splitting a Bezier curve at tSplit.
+ * Sweeps the de Casteljau construction from t=0 to tSplit, then highlights the
+ * control polygons of both halves: the first and the last point of every level.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3[]} controlPoints
+ * @param {number} tSplit - Split parameter [0, 1].
+ * @param {number} [duration=2000] - Sweep duration in ms, the halves stay twice as long.
+ * @param {number[]} [weights] - Control point weights of a rational curve.
+ * @returns {Promise<{left: THREE.Vector3[], right: THREE.Vector3[], leftWeights: number[]|null, rightWeights: number[]|null}>}
+ */
+export async function animateBezierSplit(scene, controlPoints, tSplit, duration = 2000, weights = null) {
+    await window.__globalAnimationLock.acquire();
+    try {
+        ensureGlobalAnimationState();
+        bindGlobalPauseButton();
+        setPauseButtonEnabled(true);
+        return await new Promise(resolve => {
+            let group = null;
+            let start = null;
+            let pausedAt = null;
+            function animateFrame(ts) {
+                if (window.__globalAnimationState.paused) {
+                    if (!pausedAt) pausedAt = ts;
+                    requestAnimationFrame(animateFrame);
+                    return;
+                } else if (pausedAt) {
+                    start += ts - pausedAt;
+                    pausedAt = null;
+                }
+                if (start === null) start = ts;
+                const progress = Math.min((ts - start) / duration, 1);
+                disposeObject(scene, group);
+                group = visualizeDeCasteljau(scene, controlPoints, progress * tSplit, { weights });
+                if (progress < 1) {
+                    requestAnimationFrame(animateFrame);
+                    return;
+                }
+                // Rational curves split in homogeneous coordinates, which also splits the weights
+                const rational = hasNonUnitWeights(weights);
+                let left, right, leftWeights = null, rightWeights = null;
+                if (rational) {
+                    const halvesH = subdivideBezier(toHomogeneous(controlPoints, weights), tSplit);
+                    ({ points: left, weights: leftWeights } = fromHomogeneous(halvesH.left));
+                    ({ points: right, weights: rightWeights } = fromHomogeneous(halvesH.right));
+                } else {
+                    ({ left, right } = subdivideBezier(controlPoints, tSplit));
+                }
+                const halves = new THREE.Group();
+                halves.add(createControlPolygon(left, 0x0077ff));
+                halves.add(createControlPolygon(right, 0xff8800));
+                scene.add(halves);
+                // Level k is named with the k-th letter from P: P, Q, R, S, ...
+                const n = controlPoints.length - 1;
+                const name = (level, i) => `${String.fromCharCode(80 + level)}_{${i}}`;
+                const leftNames = left.map((_, k) => name(k, 0));
+                const rightNames = right.map((_, j) => name(n - j, j));
+                showLatexFormula(
+                    `t = ${tSplit} \\qquad \\color{#0077ff}{\\text{left: } (${leftNames.join(', ')})}` +
+                    ` \\qquad \\color{#ff8800}{\\text{right: } (${rightNames.join(', ')})}`,
+                    duration * 2
+                );
+                setPauseButtonEnabled(false);
+                new PausableTimeout(() => {
+                    disposeObject(scene, group);
+                    disposeObject(scene, halves);
+                }, duration * 2);
+                resolve({ left, right, leftWeights, rightWeights });
+            }
+            requestAnimationFrame(animateFrame);
+        });
+    } finally {
+        window.__globalAnimationLock.release();
+    }
+}
+
+/**
+ * Animates the tensor-product de Casteljau construction on a bicubic patch:
+ * first u sweeps to its target with the construction running down every column,
+ * whose end points are the control polygon of the curve at u; then v sweeps along
+ * that curve to the surface point. The traced iso curves stay until the end.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3[][]} net - 4x4 control net, net[i][j] with i in u and j in v.
+ * @param {number} u - Target parameter in u [0, 1].
+ * @param {number} v - Target parameter in v [0, 1].
+ * @param {number} [duration=2000] - Duration of each sweep in ms.
+ * @returns {Promise<THREE.Vector3>} The surface point.
+ */
+export async function animateSurfaceDeCasteljau(scene, net, u, v, duration = 2000) {
     await window.__globalAnimationLock.acquire();
     try {
-        await _orig_animateDeCasteljau(scene, controlPoints, onUpdate, duration, middlePColor);
+        ensureGlobalAnimationState();
+        bindGlobalPauseButton();
+        setPauseButtonEnabled(true);
+        return await new Promise(resolve => {
+            const uColor = 0x00ff00;
+            const vColor = 0xff8800;
+            let group = null;
+            let start = null;
+            let pausedAt = null;
+            let phase = 'u';
+            showLatexFormula(`\\text{columns in } u: \\; Q_j(u) = \\sum_{i=0}^{3} B_i^3(u)\\, P_{ij}`, duration);
+            function animateFrame(ts) {
+                if (window.__globalAnimationState.paused) {
+                    if (!pausedAt) pausedAt = ts;
+                    requestAnimationFrame(animateFrame);
+                    return;
+                } else if (pausedAt) {
+                    start += ts - pausedAt;
+                    pausedAt = null;
+                }
+                if (start === null) start = ts;
+                const progress = Math.min((ts - start) / duration, 1);
+                const uu = phase === 'u' ? progress * u : u;
+                const vv = phase === 'v' ? progress * v : 0;
+                disposeObject(scene, group);
+                group = new THREE.Group();
+                const { columnLevels, curveInV, vLevels, point } = surfaceDeCasteljauLevels(net, uu, vv);
+                // The construction in u, faded once it is done
+                columnLevels.forEach(levels => {
+                    group.add(createConstructionObject(levels, uColor, phase === 'u' ? 1 : 0.35));
+                });
+                group.add(createControlPolygon(curveInV, vColor, 0.07));
+                // The column curves, traced by the control points of the curve at u
+                net[0].forEach((_, j) => group.add(createTraceLine(net.map(row => row[j]), uu, uColor, 0.6)));
+                if (phase === 'v') {
+                    group.add(createConstructionObject(vLevels, vColor, 1));
+                    // The iso curve u = const, in full and traced up to v
+                    group.add(createTraceLine(curveInV, 1, vColor, 0.4));
+                    group.add(createTraceLine(curveInV, vv, 0xffffff));
+                    const mesh = new THREE.Mesh(
+                        new THREE.SphereGeometry(0.1, 16, 16),
+                        new THREE.MeshBasicMaterial({ color: 0xffffff })
+                    );
+                    mesh.position.copy(point);
+                    group.add(mesh);
+                }
+                scene.add(group);
+                if (progress < 1) {
+                    requestAnimationFrame(animateFrame);
+                    return;
+                }
+                if (phase === 'u') {
+                    phase = 'v';
+                    start = null;
+                    showLatexFormula(`\\text{then in } v: \\; S(u, v) = \\sum_{j=0}^{3} B_j^3(v)\\, Q_j(u)`, duration);
+                    requestAnimationFrame(animateFrame);
+                    return;
+                }
+                showLatexFormula(
+                    `S(${u}, ${v}) = \\sum_{i=0}^{3} \\sum_{j=0}^{3} B_i^3(u)\\, B_j^3(v)\\, P_{ij} = ` +
+                    `(${point.x.toFixed(3)},\\, ${point.y.toFixed(3)},\\, ${point.z.toFixed(3)})`,
+                    duration * 2
+                );
+                setPauseButtonEnabled(false);
+                const finalGroup = group;
+                new PausableTimeout(() => disposeObject(scene, finalGroup), duration * 2);
+                resolve(point);
+            }
+            requestAnimationFrame(animateFrame);
+        });
     } finally {
         window.__globalAnimationLock.release();
     }
 }
+
+// Draw the interpolation levels of one de Casteljau run, the last level as the result point
+function createConstructionObject(levels, color, opacity) {
+    const group = new THREE.Group();
+    levels.forEach((points, k) => {
+        const last = k === levels.length - 1;
+        if (points.length > 1) {
+            group.add(new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color, transparent: opacity < 1, opacity })
+            ));
+        }
+        points.forEach(pt => {
+            const mesh = new THREE.Mesh(
+                new THREE.SphereGeometry(last ? 0.07 : 0.045, 12, 12),
+                new THREE.MeshBasicMaterial({ color, transparent: opacity < 1, opacity })
+            );
+            mesh.position.copy(pt);
+            group.add(mesh);
+        });
+    });
+    return group;
+}
+
+// Line along a Bezier curve from t = 0 to tEnd
+function createTraceLine(controlPoints, tEnd, color, opacity = 1) {
+    const points = [];
+    const steps = Math.max(2, Math.ceil(48 * tEnd));
+    for (let k = 0; k <= steps; k++) points.push(deCasteljau(controlPoints, tEnd * k / steps));
+    return new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color, transparent: opacity < 1, opacity })
+    );
+}
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BASIS_MATRICES, basisConversionMatrix, convertSegmentBasis } from '../docs/core/basis.js';
+import { deCasteljau } from '../docs/core/bezier.js';
+import { combine } from '../docs/core/points.js';
+import { assertClose } from './helpers.js';
+
+const geometry = [[0, 0], [1, 3], [4, 1], [5, 2]];
+const bases = Object.keys(BASIS_MATRICES);
+
+// p(t) = [t^3 t^2 t 1] · M · G
+function evaluate(basis, g, t) {
+    const powers = [t ** 3, t ** 2, t, 1];
+    const weights = [0, 1, 2, 3].map(col => powers.reduce((sum, p, row) => sum + p * BASIS_MATRICES[basis][row][col], 0));
+    return combine(g, weights);
+}
+
+test('converting to the same basis is the identity', () => {
+    bases.forEach(basis => {
+        assertClose(basisConversionMatrix(basis, basis), [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]], 1e-12);
+    });
+});
+
+test('every conversion keeps the curve and round trips', () => {
+    bases.forEach(from => bases.forEach(to => {
+        const converted = convertSegmentBasis(geometry, from, to);
+        [0, 0.3, 0.8, 1].forEach(t => assertClose(evaluate(to, converted, t), evaluate(from, geometry, t), 1e-9));
+        assertClose(convertSegmentBasis(converted, to, from), geometry, 1e-9);
+    }));
+});
+
+test('Bezier geometry evaluates like de Casteljau', () => {
+    [0, 0.25, 0.6, 1].forEach(t => assertClose(evaluate('bezier', geometry, t), deCasteljau(geometry, t), 1e-12));
+});
+
+test('Hermite to Bezier puts the inner points a third of the tangents in', () => {
+    const [P0, P1, T0, T1] = [[0, 0], [3, 0], [3, 3], [0, -3]];
+    assertClose(convertSegmentBasis([P0, P1, T0, T1], 'hermite', 'bezier'), [[0, 0], [1, 1], [3, 1], [3, 0]], 1e-12);
+});
+
+test('unknown bases are rejected', () => {
+    assert.throws(() => basisConversionMatrix('bezier', 'nurbs'), /Unknown basis: nurbs/);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    deCasteljau,
+    deCasteljauLevels,
+    subdivideBezier,
+    elevateBezierDegree,
+    reduceBezierDegree,
+    bezierDerivativePoints,
+    bezierDerivative,
+    bezierPowerCoefficients,
+    bernsteinBasis,
+    toHomogeneous,
+    fromHomogeneous,
+    rationalDeCasteljau,
+    sampleBezier
+} from '../docs/core/bezier.js';
+import { distance, sub, scale } from '../docs/core/points.js';
+import { assertClose, bernsteinPoint, binomial } from './helpers.js';
+
+const cubic2d = [[0, 0], [1, 2], [3, 2], [4, 0]];
+const quartic5d = [[0, 0, 0, 0, 0], [1, 2, 0, -1, 3], [2, -1, 4, 0, 1], [3, 3, 1, 2, -2], [5, 0, 2, 1, 0]];
+
+test('de Casteljau matches the Bernstein form in 1, 2, 3 and 5 dimensions', () => {
+    const curves = [[[0], [2], [-1], [3]], cubic2d, [[0, 0, 0], [1, 2, 3], [-1, 0, 2]], quartic5d];
+    curves.forEach(curve => {
+        [0, 0.2, 0.5, 0.77, 1].forEach(t => assertClose(deCasteljau(curve, t), bernsteinPoint(curve, t), 1e-12));
+    });
+});
+
+test('de Casteljau interpolates the end points and keeps every level', () => {
+    assertClose(deCasteljau(cubic2d, 0), cubic2d[0]);
+    assertClose(deCasteljau(cubic2d, 1), cubic2d[3]);
+    const levels = deCasteljauLevels(cubic2d, 0.5);
+    assert.deepEqual(levels.map(level => level.length), [4, 3, 2, 1]);
+    assertClose(levels[3][0], [2, 1.5]);
+});
+
+test('an empty control polygon is rejected', () => {
+    assert.throws(() => deCasteljau([], 0.5), /at least one control point/);
+});
+
+test('subdivision halves trace the original curve', () => {
+    const { left, right } = subdivideBezier(quartic5d, 0.3);
+    assert.equal(left.length, 5);
+    assertClose(left[4], right[0]);
+    [0, 0.4, 1].forEach(s => {
+        assertClose(deCasteljau(left, s), deCasteljau(quartic5d, 0.3 * s), 1e-12);
+        assertClose(deCasteljau(right, s), deCasteljau(quartic5d, 0.3 + 0.7 * s), 1e-12);
+    });
+});
+
+test('degree elevation keeps the curve', () => {
+    const elevated = elevateBezierDegree(cubic2d);
+    assert.equal(elevated.length, 5);
+    for (let t = 0; t <= 1; t += 0.125) assertClose(deCasteljau(elevated, t), deCasteljau(cubic2d, t), 1e-12);
+});
+
+test('degree reduction undoes elevation and keeps the end points', () => {
+    const { points, error } = reduceBezierDegree(elevateBezierDegree(quartic5d));
+    assertClose(points, quartic5d, 1e-9);
+    assert.ok(error < 1e-9);
+    const reduced = reduceBezierDegree(quartic5d);
+    assert.equal(reduced.points.length, 4);
+    assertClose(reduced.points[0], quartic5d[0]);
+    assertClose(reduced.points[3], quartic5d[4]);
+    assert.ok(reduced.error > 0);
+    assert.equal(reduceBezierDegree([[0, 0], [1, 1]]), null);
+});
+
+test('the derivative matches central differences', () => {
+    assert.equal(bezierDerivativePoints(cubic2d).length, 3);
+    const h = 1e-6;
+    [0.1, 0.5, 0.9].forEach(t => {
+        const numeric = scale(sub(deCasteljau(quartic5d, t + h), deCasteljau(quartic5d, t - h)), 1 / (2 * h));
+        assertClose(bezierDerivative(quartic5d, t), numeric, 1e-6);
+    });
+    assertClose(bezierDerivative([[1, 2], [3, 4]], 0.5, 2), [0, 0]);
+});
+
+test('the Bernstein basis matches the closed form and sums to one', () => {
+    [0, 0.25, 0.6, 1].forEach(t => {
+        const values = bernsteinBasis(5, t);
+        values.forEach((value, i) => assertClose(value, binomial(5, i) * t ** i * (1 - t) ** (5 - i), 1e-12));
+        assertClose(values.reduce((sum, value) => sum + value, 0), 1, 1e-12);
+    });
+    assert.deepEqual(bernsteinBasis(0, 0.3), [1]);
+});
+
+test('the power basis coefficients give the same curve', () => {
+    // (0,0), (1,2), (3,2), (4,0): x(t) = 3t + 3t^2 - 2t^3, y(t) = 6t - 6t^2
+    assertClose(bezierPowerCoefficients(cubic2d), [[0, 0], [3, 6], [3, -6], [-2, 0]]);
+    const coefficients = bezierPowerCoefficients(quartic5d);
+    [0, 0.3, 0.8, 1].forEach(t => {
+        const value = coefficients.reduce((sum, a, k) => sum.map((s, d) => s + a[d] * t ** k), [0, 0, 0, 0, 0]);
+        assertClose(value, deCasteljau(quartic5d, t), 1e-12);
+    });
+});
+
+test('a rational quadratic with weight cos(45°) is an exact quarter circle', () => {
+    const points = [[1, 0], [1, 1], [0, 1]];
+    const weights = [1, Math.SQRT1_2, 1];
+    for (let t = 0; t <= 1; t += 0.05) {
+        assertClose(distance(rationalDeCasteljau(points, weights, t), [0, 0]), 1, 1e-12);
+    }
+});
+
+test('homogeneous coordinates round trip', () => {
+    const weights = [1, 2, 0.5, 3];
+    const { points, weights: back } = fromHomogeneous(toHomogeneous(cubic2d, weights));
+    assertClose(points, cubic2d, 1e-12);
+    assert.deepEqual(back, weights);
+    assert.deepEqual(toHomogeneous([[2, 3]])[0], [2, 3, 1]);
+});
+
+test('sampling returns segments + 1 points from start to end', () => {
+    const samples = sampleBezier(cubic2d, 8);
+    assert.equal(samples.length, 9);
+    assertClose(samples[0], cubic2d[0]);
+    assertClose(samples[8], cubic2d[3]);
+});
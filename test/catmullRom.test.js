@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    catmullRomTangent,
+    catmullRomToBezier,
+    catmullRomSegmentCount,
+    catmullRomSegmentIndices,
+    catmullRomSegments,
+    sampleCatmullRom
+} from '../docs/core/catmullRom.js';
+import { convertSegmentBasis } from '../docs/core/basis.js';
+import { bezierDerivative } from '../docs/core/bezier.js';
+import { add, sub, scale, distance } from '../docs/core/points.js';
+import { assertClose } from './helpers.js';
+
+const points = [[0, 0, 0], [1, 2, 0], [3, 2, 1], [4, 0, 1], [6, 1, -1]];
+
+test('uniform segments use the classic one-sixth rule', () => {
+    const [P0, P1, P2, P3] = points;
+    const bezier = catmullRomToBezier(P0, P1, P2, P3);
+    assertClose(bezier[1], add(P1, scale(sub(P2, P0), 1 / 6)));
+    assertClose(bezier[2], sub(P2, scale(sub(P3, P1), 1 / 6)));
+});
+
+test('uniform segments agree with the Catmull-Rom basis matrix', () => {
+    const geometry = points.slice(0, 4);
+    assertClose(catmullRomToBezier(...geometry), convertSegmentBasis(geometry, 'catmullRom', 'bezier'), 1e-12);
+});
+
+test('the spline passes through every point with a continuous tangent', () => {
+    [0, 0.5, 1].forEach(alpha => {
+        const segments = catmullRomSegments(points, { alpha });
+        assert.equal(segments.length, 4);
+        segments.forEach((segment, i) => {
+            assertClose(segment[0], points[i]);
+            assertClose(segment[3], points[i + 1]);
+        });
+        for (let i = 0; i < segments.length - 1; i++) {
+            const end = bezierDerivative(segments[i], 1);
+            const start = bezierDerivative(segments[i + 1], 0);
+            // Non-uniform knots keep the direction, the speed may jump
+            const cross = end[0] * start[1] - end[1] * start[0];
+            assertClose(cross, 0, 1e-9);
+            if (alpha === 0) assertClose(end, start, 1e-12);
+        }
+    });
+});
+
+test('closed splines wrap around', () => {
+    assert.equal(catmullRomSegmentCount(5, true), 5);
+    assert.equal(catmullRomSegmentCount(5, false), 4);
+    assert.equal(catmullRomSegmentCount(1), 0);
+    assert.deepEqual(catmullRomSegmentIndices(5, 4, true), [3, 4, 0, 1]);
+    assert.deepEqual(catmullRomSegmentIndices(5, 0, false), [0, 0, 1, 2]);
+    const segments = catmullRomSegments(points, { closed: true });
+    assertClose(segments[4][3], points[0]);
+});
+
+test('given knot intervals stand in for alpha', () => {
+    [false, true].forEach(closed => {
+        const count = closed ? points.length : points.length - 1;
+        const knotIntervals = Array.from({ length: count }, (_, k) => Math.pow(distance(points[k], points[(k + 1) % points.length]), 0.5));
+        const expected = catmullRomSegments(points, { alpha: 0.5, closed });
+        catmullRomSegments(points, { knotIntervals, closed }).forEach((segment, i) => assertClose(segment, expected[i], 1e-12));
+    });
+});
+
+test('full tension gives zero tangents', () => {
+    const tangent = catmullRomTangent(points[0], points[1], points[2], 0, { tension: 1 });
+    assertClose(tangent, [0, 0, 0]);
+});
+
+test('continuity -1 gives a corner and +1 overshoots', () => {
+    const [P0, P1, P2, P3] = points;
+    const chordIn = sub(P1, P0);
+    const chordOut = sub(P2, P1);
+    const corner = { continuity: -1 };
+    assertClose(catmullRomTangent(P0, P1, P2, 0, corner), chordOut);
+    assertClose(catmullRomTangent(P0, P1, P2, 0, corner, null, true), chordIn);
+    const rounded = { continuity: 1 };
+    assertClose(catmullRomTangent(P0, P1, P2, 0, rounded), chordIn);
+    assertClose(catmullRomTangent(P0, P1, P2, 0, rounded, null, true), chordOut);
+    // The segment leaves P1 along its own chord and arrives at P2 along its own chord
+    const segment = catmullRomToBezier(P0, P1, P2, P3, { tcb1: corner, tcb2: corner });
+    assertClose(segment[1], add(P1, scale(chordOut, 1 / 3)));
+    assertClose(segment[2], sub(P2, scale(chordOut, 1 / 3)));
+});
+
+test('sampling shares the segment end points', () => {
+    const samples = sampleCatmullRom(points, 10);
+    assert.equal(samples.length, 4 * 10 + 1);
+    assertClose(samples[10], points[1]);
+    assertClose(samples[40], points[4]);
+});
+
+test('works on two-dimensional points', () => {
+    const segments = catmullRomSegments([[0, 0], [1, 1], [2, 0]]);
+    assert.equal(segments[0][1].length, 2);
+});
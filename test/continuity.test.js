@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installThreeGlobal } from './helpers.js';
+
+const THREE = installThreeGlobal();
+const { getCurveSegments } = await import('../docs/curves.js');
+const { analyzeContinuity, analyzeJoint, continuityClass } = await import('../docs/continuity.js');
+
+const points = [
+    new THREE.Vector3(-3, 0, 0),
+    new THREE.Vector3(-1, 2, 0),
+    new THREE.Vector3(1, -1.5, 0),
+    new THREE.Vector3(2.5, 1, 0),
+    new THREE.Vector3(4, 0, 0)
+];
+const classes = (options) => analyzeContinuity(getCurveSegments(points, options), options).map(joint => joint.class);
+
+test('uniform Catmull-Rom is C1 but not C2', () => {
+    const joints = analyzeContinuity(getCurveSegments(points, { curveType: 'catmullRom' }));
+    assert.equal(joints.length, 3);
+    joints.forEach(joint => {
+        assert.ok(joint.C1 && !joint.C2, `joint ${joint.segmentIndex} is ${joint.class}`);
+        assert.ok(joint.secondDerivativeJump > 1);
+    });
+});
+
+test('centripetal Catmull-Rom keeps the tangent direction but not the speed', () => {
+    assert.deepEqual(classes({ curveType: 'catmullRom', alpha: 0.5 }), ['G1', 'G1', 'G1']);
+});
+
+test('uniform cubic B-splines are C2, also closed', () => {
+    assert.ok(classes({ curveType: 'bspline' }).every(name => name === 'C2'));
+    assert.deepEqual(classes({ curveType: 'bspline', closed: true }), ['C2', 'C2', 'C2', 'C2', 'C2']);
+});
+
+test('a corner between Bezier segments is only C0', () => {
+    const left = [[0, 0], [1, 1], [2, 1], [3, 0]].map(([x, y]) => new THREE.Vector3(x, y, 0));
+    const right = [[3, 0], [4, 0], [6, 0], [7, 0]].map(([x, y]) => new THREE.Vector3(x, y, 0));
+    const joint = analyzeJoint(left, right);
+    assert.equal(continuityClass(joint), 'C0');
+    assert.ok(Math.abs(joint.tangentAngle - Math.PI / 4) < 1e-12);
+});
+
+test('a gap breaks continuity', () => {
+    const left = [new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0)];
+    const right = [new THREE.Vector3(1.5, 0, 0), new THREE.Vector3(2, 0, 0)];
+    const joint = analyzeJoint(left, right);
+    assert.equal(continuityClass(joint), 'none');
+    assert.equal(joint.positionJump, 0.5);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installThreeGlobal } from './helpers.js';
+
+const THREE = installThreeGlobal();
+const { getCurveSegments } = await import('../docs/curves.js');
+const { analyzeSegment, detectDegeneracies, nudgedPosition } = await import('../docs/degeneracy.js');
+
+const v = (x, y) => new THREE.Vector3(x, y, 0);
+const types = (issues) => issues.map(issue => issue.type);
+
+test('a regular cubic has no issues', () => {
+    assert.deepEqual(analyzeSegment([v(0, 0), v(1, 1), v(2, 1), v(3, 0)]), []);
+});
+
+test('finds the cusp where the hodograph passes through zero', () => {
+    // P3 + P2 - P1 - P0 = 0 puts the zero of the derivative at t = 1/2
+    const [issue] = analyzeSegment([v(0, 0), v(3, 3), v(0, 3), v(3, 0)]);
+    assert.equal(issue.type, 'cusp');
+    assert.ok(Math.abs(issue.t - 0.5) < 1e-6);
+});
+
+test('finds a loop and both of its parameters', () => {
+    const issues = analyzeSegment([v(0, 0), v(4, 3), v(-1, 3), v(3, 0)]);
+    assert.deepEqual(types(issues), ['loop']);
+    const [{ t, t2, point }] = issues;
+    assert.ok(t < t2);
+    const segment = [v(0, 0), v(4, 3), v(-1, 3), v(3, 0)];
+    const at = (s) => new THREE.CubicBezierCurve3(...segment).getPoint(s);
+    assert.ok(at(t).distanceTo(at(t2)) < 1e-3);
+    assert.ok(at(t).distanceTo(point) < 1e-3);
+});
+
+test('a repeated control point stops the curve at the segment end', () => {
+    assert.deepEqual(types(analyzeSegment([v(0, 0), v(0, 0), v(2, 1), v(3, 0)])), ['zeroVelocity']);
+    assert.deepEqual(types(analyzeSegment([v(1, 1), v(1, 1), v(1, 1), v(1, 1)])), ['collapsed']);
+});
+
+test('coincident points get a nudge that separates them', () => {
+    const points = [v(-2, 0), v(-1, 2), v(-1, 2), v(2, 0)];
+    const options = { curveType: 'catmullRom', alpha: 0, pointTolerance: 0.01 };
+    const issues = detectDegeneracies(points, getCurveSegments(points, options), options);
+    const coincident = issues.find(issue => issue.type === 'coincident');
+    assert.equal(coincident.segmentIndex, 1);
+    assert.equal(coincident.fix.kind, 'nudge');
+    assert.ok(coincident.fix.position.distanceTo(points[1]) > 0.01);
+    // Switching the parameterization is not offered while the points coincide
+    assert.ok(issues.every(issue => !issue.fix || issue.fix.kind === 'nudge'));
+});
+
+test('uniform Catmull-Rom cusps are fixed by the centripetal parameterization', () => {
+    const points = [v(2.54, 1.13), v(0.86, 0.46), v(2.47, 2.45), v(-0.77, -0.99)];
+    const uniform = { curveType: 'catmullRom', alpha: 0 };
+    const issues = detectDegeneracies(points, getCurveSegments(points, uniform), uniform);
+    assert.deepEqual(types(issues), ['cusp']);
+    assert.deepEqual(issues[0].fix, { kind: 'parameterization', alpha: 0.5 });
+    const centripetal = { curveType: 'catmullRom', alpha: 0.5 };
+    assert.deepEqual(detectDegeneracies(points, getCurveSegments(points, centripetal), centripetal), []);
+});
+
+test('the clamped ends of an open B-spline are not reported', () => {
+    const points = [v(-2, 0), v(-1, 2), v(1, -2), v(2, 0)];
+    const options = { curveType: 'bspline' };
+    assert.deepEqual(detectDegeneracies(points, getCurveSegments(points, options), options), []);
+});
+
+test('nudging moves towards the next distinct point', () => {
+    const points = [v(0, 0), v(0, 0), v(4, 0)];
+    assert.deepEqual(nudgedPosition(points, 1, 1e-6).toArray(), [1, 0, 0]);
+    assert.deepEqual(nudgedPosition([v(0, 0), v(2, 0), v(2, 0)], 2, 1e-6).toArray(), [2.5, 0, 0]);
+});
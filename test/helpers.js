@@ -0,0 +1,47 @@
+// helpers.js
+// Shared assertions for the math core tests, and the setup the app module tests need.
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+/**
+ * Defines the THREE global the app modules read, as the CDN script does in the browser.
+ * Import the app modules dynamically after calling this.
+ * @returns {Object} The Three.js namespace.
+ */
+export function installThreeGlobal() {
+    globalThis.THREE = THREE;
+    return THREE;
+}
+
+/**
+ * Asserts that two numeric arrays (or nested arrays) agree within epsilon.
+ * @param {number[]|number[][]} actual
+ * @param {number[]|number[][]} expected
+ * @param {number} [epsilon=1e-9]
+ */
+export function assertClose(actual, expected, epsilon = 1e-9) {
+    if (Array.isArray(expected)) {
+        assert.equal(actual.length, expected.length, 'length differs');
+        expected.forEach((value, i) => assertClose(actual[i], value, epsilon));
+        return;
+    }
+    assert.ok(Math.abs(actual - expected) <= epsilon, `${actual} is not within ${epsilon} of ${expected}`);
+}
+
+/** Binomial coefficient n choose k. */
+export function binomial(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+    return result;
+}
+
+/** Bezier point by the Bernstein sum, the reference for de Casteljau. */
+export function bernsteinPoint(controlPoints, t) {
+    const n = controlPoints.length - 1;
+    const result = new Array(controlPoints[0].length).fill(0);
+    controlPoints.forEach((point, i) => {
+        const b = binomial(n, i) * t ** i * (1 - t) ** (n - i);
+        point.forEach((value, k) => { result[k] += b * value; });
+    });
+    return result;
+}
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { add, sub, scale, lerp, dot, length, distance, combine } from '../docs/core/points.js';
+import { assertClose } from './helpers.js';
+
+test('vector operations work in any dimension', () => {
+    assert.deepEqual(add([1, 2], [3, 4]), [4, 6]);
+    assert.deepEqual(sub([1, 2, 3, 4, 5], [1, 1, 1, 1, 1]), [0, 1, 2, 3, 4]);
+    assert.deepEqual(scale([1, -2, 3], 2), [2, -4, 6]);
+    assert.equal(dot([1, 2, 3], [4, 5, 6]), 32);
+    assert.equal(length([3, 4]), 5);
+    assert.equal(distance([1], [4]), 3);
+});
+
+test('lerp interpolates between the end points', () => {
+    assertClose(lerp([0, 0, 0], [2, 4, 6], 0.25), [0.5, 1, 1.5]);
+    assertClose(lerp([1, 1], [3, 3], 0), [1, 1]);
+    assertClose(lerp([1, 1], [3, 3], 1), [3, 3]);
+});
+
+test('combine forms a weighted sum', () => {
+    assertClose(combine([[1, 0], [0, 1], [1, 1]], [2, 3, -1]), [1, 2]);
+});
+
+test('operations do not modify their arguments', () => {
+    const a = [1, 2, 3];
+    add(a, a);
+    scale(a, 5);
+    lerp(a, [0, 0, 0], 0.5);
+    assert.deepEqual(a, [1, 2, 3]);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createThreeAdapter, toArray } from '../docs/core/three.js';
+import { assertClose, installThreeGlobal } from './helpers.js';
+
+const THREE = installThreeGlobal();
+const curves = await import('../docs/curves.js');
+
+const adapter = createThreeAdapter(THREE);
+const points = [
+    new THREE.Vector3(-2, 0, 0),
+    new THREE.Vector3(-1, 2, 1),
+    new THREE.Vector3(1, -2, 0.5),
+    new THREE.Vector3(2, 0, 0),
+    new THREE.Vector3(3, 1, -1)
+];
+
+test('vectors convert to arrays by their kind', () => {
+    assert.deepEqual(toArray(new THREE.Vector2(1, 2)), [1, 2]);
+    assert.deepEqual(toArray(new THREE.Vector3(1, 2, 3)), [1, 2, 3]);
+    assert.deepEqual(toArray(new THREE.Vector4(1, 2, 3, 4)), [1, 2, 3, 4]);
+});
+
+test('the adapter returns Three.js vectors', () => {
+    const point = adapter.deCasteljau(points, 0.5);
+    assert.ok(point.isVector3);
+    assert.ok(adapter.subdivideBezier(points, 0.5).left.every(p => p.isVector3));
+});
+
+test('homogeneous points stay Vector4 through the adapter', () => {
+    const weights = [1, 2, 0.5, 1, 3];
+    const lifted = adapter.toHomogeneous(points, weights);
+    assert.ok(lifted.every(h => h.isVector4));
+    const { left } = adapter.subdivideBezier(lifted, 0.4);
+    assert.ok(left.every(h => h.isVector4));
+    const end = adapter.fromHomogeneous(left).points[left.length - 1];
+    assertClose(toArray(end), toArray(adapter.rationalDeCasteljau(points, weights, 0.4)), 1e-12);
+    assert.ok(adapter.elevateBezierDegree(lifted).every(h => h.isVector4));
+});
+
+test('the app curves run on the core', () => {
+    [0, 0.35, 1].forEach(t => {
+        assertClose(toArray(curves.deCasteljau(points, t)), toArray(adapter.deCasteljau(points, t)), 1e-12);
+    });
+    const [P0, P1, P2, P3] = points;
+    const tcb1 = { tension: 0.2, continuity: -0.3, bias: 0.5 };
+    assertClose(
+        curves.catmullRomInterpolate(P0, P1, P2, P3, { alpha: 0.5, tcb1 }).map(toArray),
+        adapter.catmullRomToBezier(P0, P1, P2, P3, { alpha: 0.5, tcb1 }).map(toArray),
+        1e-12
+    );
+    [0, 0.5, 1].forEach(alpha => {
+        const expected = adapter.catmullRomSegments(points, { alpha, closed: true });
+        const actual = curves.getCatmullRomSegments(points, { alpha, closed: true });
+        actual.forEach((segment, i) => assertClose(segment.map(toArray), expected[i].map(toArray), 1e-9));
+    });
+});
+
+test('only a weighted Bezier counts as rational', () => {
+    const pointParams = points.map(() => ({ weight: 1 }));
+    assert.equal(curves.isRationalCurve({ curveType: 'bezier', pointParams }), false);
+    pointParams[2].weight = 2;
+    assert.equal(curves.isRationalCurve({ curveType: 'bezier', pointParams }), true);
+    assert.equal(curves.isRationalCurve({ curveType: 'catmullRom', pointParams }), false);
+});
+
+test('reducing a weighted curve keeps it rational', () => {
+    const weights = [1, 2, 0.5, 1, 3];
+    const lifted = curves.toHomogeneous(points, weights);
+    const { points: elevated, weights: elevatedWeights } = curves.fromHomogeneous(curves.elevateBezierDegree(lifted));
+    const reduced = curves.reduceBezierDegree(elevated, 64, elevatedWeights);
+    assertClose(reduced.weights, weights, 1e-9);
+    assertClose(reduced.points.map(toArray), points.map(toArray), 1e-9);
+    assert.ok(reduced.error < 1e-9);
+    assert.equal(curves.reduceBezierDegree(points).weights, null);
+});
+
+test('control points sit where each curve type puts them', () => {
+    const segmentCount = (curveType, closed) => curves.getCurveSegments(points, { curveType, closed }).length;
+    assert.deepEqual(curves.controlPointParameters(5, { curveType: 'catmullRom' }), [0, 1, 2, 3, 4]);
+    assert.deepEqual(curves.controlPointParameters(5, { curveType: 'hermite', closed: true }), [0, 1, 2, 3, 4, 5]);
+    assert.deepEqual(curves.controlPointParameters(5, { curveType: 'bezier' }), [0, 0.25, 0.5, 0.75, 1]);
+    assert.deepEqual(curves.controlPointParameters(5, { curveType: 'bspline' }), [0, 2, 3, 4, 6]);
+    assert.deepEqual(curves.controlPointParameters(5, { curveType: 'bspline', closed: true }), [0, 1, 2, 3, 4, 5]);
+    assertClose(curves.controlPointParameters(5, { curveType: 'piecewiseBezier' }), [0, 1 / 3, 2 / 3, 1, 2], 1e-12);
+    assertClose(curves.controlPointParameters(5, { curveType: 'piecewiseBezier', closed: true }), [0, 1 / 3, 2 / 3, 1, 1.5, 2], 1e-12);
+    [['catmullRom', false], ['bspline', false], ['bspline', true], ['piecewiseBezier', false], ['piecewiseBezier', true], ['bezier', false]]
+        .forEach(([curveType, closed]) => {
+            const parameters = curves.controlPointParameters(points.length, { curveType, closed });
+            assert.equal(parameters[parameters.length - 1], segmentCount(curveType, closed));
+        });
+});
+
+test('Catmull-Rom surfaces stay a tensor product with alpha', async () => {
+    const { getCatmullRomPatches } = await import('../docs/surfaces.js');
+    const grid = [0, 1, 3].map((x, i) => [0, 2, 3, 6].map((y, j) => new THREE.Vector3(x + 0.3 * j, y + 0.5 * i * j, Math.sin(i + j))));
+    const transposed = grid[0].map((_, j) => grid.map(row => row[j]));
+    const patches = getCatmullRomPatches(grid, { alpha: 0.5 });
+    const transposedPatches = getCatmullRomPatches(transposed, { alpha: 0.5 });
+    // Rows first or columns first gives the same net only when every line shares its direction's knots
+    patches.forEach((patchRow, a) => patchRow.forEach((net, b) => {
+        const other = transposedPatches[b][a];
+        net.forEach((row, i) => assertClose(row.map(toArray), other.map(column => toArray(column[i])), 1e-9));
+    }));
+});
+
+test('spline curves end on the last point of a single Bezier of any degree', () => {
+    [3, 5].forEach(count => {
+        const sampled = curves.createSplineCurve(points.slice(0, count), 10, { curveType: 'bezier' });
+        assert.equal(sampled.length, 11);
+        assertClose(toArray(sampled[sampled.length - 1]), toArray(points[count - 1]), 1e-12);
+    });
+});